@@ -2,13 +2,39 @@
  * Background Service Worker - Groq Cloud Edition
  * + Session Intent Tracking
  * + Smart Form-Fill Suggestions
+ * + Streaming suggestions over a long-lived 'suggestions' port
+ * + Persistent local rate limiting (per minute / hour / day)
+ * + Prefix/context suggestion cache in chrome.storage.session
+ * + Prompt inspector log of everything sent to the provider
+ * + User-editable sensitivity policy shared with the content script
+ * + PII redaction of everything that goes into a prompt
+ * + Global "suggest now" and "fill this form" commands forwarded to the focused frame
+ * + Suggestion feedback (accepted / cycled / dismissed) driving ranking and few-shot examples
+ * + Local-only usage stats (requests, latency, tokens, cache hits) for the stats page
+ * + Side panel: session intent, topics (pin / remove) and recent suggestions
+ * + Named form-fill profiles (options page, per-site rules) answering form fields first
+ * + Whole-form fill: local candidates for every field of a form in one request
  */
 
 import configManager from '../config/config-manager.js';
-import groqService from '../services/groq-service.js';
+import groqService, { SOURCE_SLOTS } from '../services/groq-service.js';
 import contextCollector from '../services/context-collector.js';
 import sessionTracker from '../services/session-tracker.js';
 import formDetector from '../services/form-detector.js';
+import suggestionCache from '../services/suggestion-cache.js';
+import promptLog from '../services/prompt-log.js';
+import piiRedactor from '../services/pii-redactor.js';
+import feedbackStore from '../services/feedback-store.js';
+import usageStats from '../services/usage-stats.js';
+import RateLimiter from '../utils/rate-limiter.js';
+import { loadPolicy, savePolicy, DEFAULT_POLICY } from '../config/sensitivity-policy.js';
+import { loadProfiles, clearProfiles } from '../config/user-profile.js';
+
+const rateLimiter = new RateLimiter();
+// Whole-form fill answers at most this many fields per request
+const MAX_FORM_FILL_FIELDS = 60;
+// Field/tab checks read the cached policy synchronously, so load it before any request
+const policyReady = loadPolicy();
 
 chrome.runtime.onInstalled.addListener(async () => {
   console.log('AI Context Assistant installed');
@@ -31,6 +57,73 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return true;
 });
 
+// ── Streaming port: content script keeps one open per page ───────────────────
+// Messages in:  { action: 'generateSuggestions', requestId, data }
+//               { action: 'cancelSuggestions', requestId }
+// Messages out: { type: 'suggestion', requestId, suggestion, index }  (0..n, as they stream, already
+//                                                                      in final ranked order)
+//               { type: 'result', requestId, response }               (always last)
+let portCounter = 0;
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'suggestions') return;
+
+  // requestIds are only unique per content-script instance, so prefix with the port
+  const portId = ++portCounter;
+  const requestKeys = new Set();
+  const keyFor = (requestId) => `${portId}:${requestId}`;
+
+  port.onMessage.addListener(async (message) => {
+    const { action, requestId, data } = message || {};
+
+    if (action === 'cancelSuggestions') {
+      groqService.cancel(keyFor(requestId));
+      return;
+    }
+    if (action !== 'generateSuggestions') return;
+
+    const requestKey = keyFor(requestId);
+    requestKeys.add(requestKey);
+    const response = await generateSuggestions(data || {}, {
+      requestKey,
+      onSuggestion: (suggestion, index) => postToPort(port, { type: 'suggestion', requestId, suggestion, index })
+    });
+    requestKeys.delete(requestKey);
+    postToPort(port, { type: 'result', requestId, response });
+  });
+
+  port.onDisconnect.addListener(() => {
+    requestKeys.forEach(key => groqService.cancel(key));
+    requestKeys.clear();
+  });
+});
+
+// ── Global hotkeys (manifest `commands`) ─────────────────────────────────────
+// Sent to every frame of the tab; only the frame holding the focused field
+// (or, for form fill, the focused form) answers.
+const COMMAND_ACTIONS = {
+  'suggest-now': 'triggerSuggestions',
+  'fill-form': 'fillForm'
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const action = COMMAND_ACTIONS[command];
+  if (!action) return;
+  const tabId = tab?.id ?? (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+  if (!tabId) return;
+  chrome.tabs.sendMessage(tabId, { action }).catch(() => {
+    // No content script here (chrome:// page) or no field focused
+  });
+});
+
+function postToPort(port, message) {
+  try {
+    port.postMessage(message);
+  } catch (error) {
+    // Port closed (tab navigated away) — nothing left to deliver to
+  }
+}
+
 async function handleMessage(request, sender) {
   const { action, data } = request;
 
@@ -44,10 +137,27 @@ async function handleMessage(request, sender) {
         success: true,
         config: {
           isConfigured: configManager.isConfigured(),
+          hasApiKey: configManager.hasApiKey(),
+          provider: configManager.get('provider'),
+          providerBaseURL: configManager.get('providerBaseURL'),
+          providerAuthScheme: configManager.get('providerAuthScheme'),
+          providerAuthHeader: configManager.get('providerAuthHeader'),
+          providerModel: configManager.get('providerModel'),
           model: configManager.get('model'),
+          temperature: configManager.get('temperature'),
+          maxTokens: configManager.get('maxTokens'),
           enableHistoryTracking: configManager.get('enableHistoryTracking'),
           enableTabAnalysis: configManager.get('enableTabAnalysis'),
-          enableAiChatMode: configManager.get('enableAiChatMode')
+          enableAiChatMode: configManager.get('enableAiChatMode'),
+          enableStreaming: configManager.get('enableStreaming'),
+          overlayStyle: configManager.get('overlayStyle'),
+          overlayTheme: configManager.get('overlayTheme'),
+          keyBindings: configManager.get('keyBindings'),
+          triggerMode: configManager.get('triggerMode'),
+          redactionPatterns: configManager.get('redactionPatterns'),
+          rateLimitPerMinute: configManager.get('rateLimitPerMinute'),
+          rateLimitPerHour: configManager.get('rateLimitPerHour'),
+          rateLimitPerDay: configManager.get('rateLimitPerDay')
         }
       };
 
@@ -59,6 +169,8 @@ async function handleMessage(request, sender) {
     case 'updateConfig':
       await configManager.initialize();
       await configManager.update(data.updates);
+      // Provider/model changes make cached completions stale
+      await suggestionCache.clear();
       return { success: true };
 
     case 'testConnection':
@@ -66,20 +178,148 @@ async function handleMessage(request, sender) {
       const isConnected = await groqService.testConnection();
       return { success: isConnected };
 
+    case 'getAvailableModels':
+      await configManager.initialize();
+      return { success: true, ...(await groqService.getAvailableModels(data?.provider || null, data?.apiKey || '')) };
+
     case 'clearConfig':
       await configManager.clear();
       await sessionTracker.clearSession();
+      await suggestionCache.clear();
+      await rateLimiter.reset();
+      await promptLog.clear();
+      await feedbackStore.clear();
+      await usageStats.clear();
+      await clearProfiles();
       return { success: true };
 
+    case 'recordFeedback':
+      await feedbackStore.record(data);
+      await usageStats.recordFeedback(data);
+      return { success: true };
+
+    case 'getFormFillCandidates':
+      return await getFormFillCandidates(data);
+
+    case 'getUsageStats':
+      return { success: true, summary: await usageStats.getSummary(data?.days) };
+
+    case 'getPromptLog':
+      return { success: true, entries: await promptLog.getEntries() };
+
+    case 'clearPromptLog':
+      await promptLog.clear();
+      return { success: true };
+
+    case 'getRateLimitStatus':
+      await configManager.initialize();
+      rateLimiter.setLimits(configManager.getRateLimits());
+      return {
+        success: true,
+        limits: configManager.getRateLimits(),
+        remaining: await rateLimiter.getRemainingRequests(),
+        resetIn: await rateLimiter.getTimeUntilReset()
+      };
+
+    case 'getSensitivityPolicy':
+      return { success: true, policy: await loadPolicy(), defaults: DEFAULT_POLICY };
+
+    case 'updateSensitivityPolicy':
+      return { success: true, policy: await savePolicy(data.policy) };
+
     case 'getSessionIntent':
       return { success: true, intent: await sessionTracker.getIntentContext() };
 
+    case 'getSessionDetails':
+      return {
+        success: true,
+        intent: await sessionTracker.getIntentContext(),
+        topics: await sessionTracker.getTopics(),
+        recentQueries: await sessionTracker.getRecentQueries()
+      };
+
+    case 'pinSessionTopic':
+      await sessionTracker.pinTopic(data.topic, data.pinned !== false);
+      return { success: true };
+
+    case 'removeSessionTopic':
+      await sessionTracker.removeTopic(data.topic);
+      return { success: true };
+
+    case 'clearSession':
+      await sessionTracker.clearSession();
+      return { success: true };
+
     default:
       throw new Error(`Unknown action: ${action}`);
   }
 }
 
-async function generateSuggestions(data) {
+/**
+ * Add form-detector candidates (saved profile, open tabs) to the fieldMeta the
+ * content script classified. Profile answers lead, then the content script's
+ * local candidates (higher confidence), then tab-based ones — first spelling
+ * of a value wins.
+ */
+function enrichFieldMeta(fieldMeta, activeTabs, currentPage = {}) {
+  const detectorMeta = formDetector.analyzeField(
+    {
+      // The signals the content script classified the field from
+      ...fieldMeta.signals,
+      label: fieldMeta.signals?.label || fieldMeta.fieldLabel || '',
+      pageUrl: fieldMeta.pageUrl || currentPage?.url || '',
+      pageTitle: fieldMeta.pageTitle || currentPage?.title || ''
+    },
+    activeTabs,
+    fieldMeta.fieldType  // pass pre-classified type — skip re-classification
+  );
+  if (!detectorMeta?.candidates?.length) return fieldMeta;
+
+  const profileCandidates = detectorMeta.candidates.filter(c => c.fromProfile);
+  const seen = new Set(profileCandidates.map(c => c.value.toLowerCase()));
+  const otherCandidates = [...(fieldMeta.candidates || []), ...detectorMeta.candidates.filter(c => !c.fromProfile)]
+    .filter(c => !seen.has(c.value.toLowerCase()) && seen.add(c.value.toLowerCase()));
+  return {
+    ...fieldMeta,
+    candidates: [...profileCandidates, ...otherCandidates],
+    isFormFill: true
+  };
+}
+
+/**
+ * Local candidates for every field of a form at once, for the content
+ * script's whole-form fill. Never calls the provider: fields the profile,
+ * the device and the open tabs can't answer come back without candidates.
+ */
+async function getFormFillCandidates({ fields = [], pageUrl = '', pageTitle = '' } = {}) {
+  if (!configManager.initialized) {
+    await configManager.initialize();
+  }
+  await policyReady;
+  await loadProfiles();
+
+  const activeTabs = configManager.get('enableTabAnalysis', true)
+    ? await contextCollector.getActiveTabsContext()
+    : [];
+  const currentPage = { url: pageUrl, title: pageTitle };
+
+  return {
+    success: true,
+    fields: fields.slice(0, MAX_FORM_FILL_FIELDS).map(fieldMeta =>
+      fieldMeta?.fieldType ? enrichFieldMeta(fieldMeta, activeTabs, currentPage) : fieldMeta
+    )
+  };
+}
+
+async function generateSuggestions(data, options = {}) {
+  // Registered up front so a cancel that arrives during context collection still lands
+  const { requestKey, ...generateOptions } = options;
+  const controller = requestKey ? groqService.beginRequest(requestKey) : null;
+  const signal = controller?.signal;
+  const cancelledResponse = { success: false, cancelled: true, suggestions: [] };
+  const startedAt = Date.now();
+  let pageType = null;
+
   try {
     // Check if extension is enabled
     const stored = await chrome.storage.local.get('extensionEnabled');
@@ -92,9 +332,10 @@ async function generateSuggestions(data) {
     if (!configManager.initialized) {
       await configManager.initialize();
     }
+    await policyReady;
 
     if (!configManager.isConfigured()) {
-      return { success: false, error: 'Groq API key not configured', suggestions: [] };
+      return { success: false, error: `${configManager.getProvider().label} is not configured`, suggestions: [] };
     }
 
     const fullContext = await contextCollector.collectContext();
@@ -107,6 +348,19 @@ async function generateSuggestions(data) {
       sessionIntent: await sessionTracker.getIntentContext()
     };
 
+    // AI chat follow-up mode: budgeted, redacted transcript of the conversation
+    const chatHistory = mergedContext.current_page?.chatHistory || [];
+    delete mergedContext.current_page?.chatHistory;
+    if (mergedContext.page_type === 'ai_chat' && configManager.get('enableAiChatMode')) {
+      mergedContext.chatTranscript = contextCollector.buildChatTranscript(chatHistory);
+    }
+
+    const contextSources = {
+      ...fullContext.context_sources,
+      session_intent: mergedContext.sessionIntent?.sessionSummary ? 'included' : 'empty',
+      chat_transcript: mergedContext.chatTranscript?.length > 0 ? 'included' : 'empty'
+    };
+
     if (mergedContext.active_input_text && data.fieldName) {
       if (contextCollector.isSensitiveInput(mergedContext.active_input_text, data.fieldName)) {
         return { success: true, reason: 'Sensitive input detected', suggestions: [] };
@@ -118,36 +372,81 @@ async function generateSuggestions(data) {
     // form-detector adds tab-based candidates (LinkedIn, GitHub, portfolio, etc.)
     let fieldMeta = data.fieldMeta || null;
     if (fieldMeta?.fieldType) {
-      const detectorMeta = formDetector.analyzeField(
-        {
-          name: '',      // already classified by content-script
-          id: '',
-          placeholder: fieldMeta.fieldLabel || '',
-          autocomplete: '',
-          label: fieldMeta.fieldLabel || '',
-          type: 'text',
-          pageUrl: mergedContext.current_page?.url || '',
-          pageTitle: fieldMeta.pageTitle || mergedContext.current_page?.title || ''
-        },
-        mergedContext.active_tabs || [],
-        fieldMeta.fieldType  // pass pre-classified type — skip re-classification
-      );
-
-      if (detectorMeta?.candidates?.length > 0) {
-        // Merge: keep existing local candidates (higher confidence) and append tab-based ones
-        const existingValues = new Set((fieldMeta.candidates || []).map(c => c.value));
-        const newCandidates = detectorMeta.candidates.filter(c => !existingValues.has(c.value));
-        fieldMeta = {
-          ...fieldMeta,
-          candidates: [...(fieldMeta.candidates || []), ...newCandidates],
-          isFormFill: true
-        };
-      }
+      // Fresh read, so a profile switched in the overlay a moment ago applies
+      await loadProfiles();
+      fieldMeta = enrichFieldMeta(fieldMeta, mergedContext.active_tabs || [], mergedContext.current_page);
     }
 
     mergedContext.fieldMeta = fieldMeta;
+    pageType = mergedContext.page_type;
+
+    if (signal?.aborted) return cancelledResponse;
 
-    const result = await groqService.generateSuggestions(mergedContext);
+    const usesApi = groqService.needsApiCall(mergedContext);
+
+    // Completions this user accepted before on this kind of page, as few-shot examples
+    if (usesApi) {
+      mergedContext.acceptedExamples = await feedbackStore.getAcceptedExamples(mergedContext.page_type);
+      contextSources.accepted_examples = mergedContext.acceptedExamples.length > 0 ? 'included' : 'empty';
+    }
+
+    // Prompts are built from a masked copy; local form-fill keeps the real values
+    const { context: promptContext, redactions } = usesApi
+      ? piiRedactor.redactContext(mergedContext, configManager.getRedactionPatterns())
+      : { context: mergedContext, redactions: { total: 0, byType: {} } };
+    promptContext.redactions = redactions;
+
+    // Same prefix + same context seen recently — skip the provider entirely
+    let result = usesApi ? await suggestionCache.get(promptContext) : null;
+    const fromCache = Boolean(result);
+    let usage = null;
+
+    if (!result) {
+      // Only requests that will actually reach the provider spend budget
+      if (usesApi) {
+        rateLimiter.setLimits(configManager.getRateLimits());
+        if (!(await rateLimiter.checkLimit())) {
+          const { retryAfterMs, window } = await rateLimiter.getRetryAfter();
+          await usageStats.recordRequest({ pageType, outcome: 'rate_limited', formFill: Boolean(fieldMeta?.fieldType) });
+          return {
+            success: false,
+            rateLimited: true,
+            error: 'Rate limited locally',
+            retryAfterMs,
+            window,
+            suggestions: []
+          };
+        }
+      }
+
+      // Token usage only feeds the local stats; it stays out of the cache and the response
+      // Stream in the order the result will be ranked in, so nothing on screen moves afterwards
+      if (generateOptions.onSuggestion) {
+        const slotOrder = await feedbackStore.rankSources(SOURCE_SLOTS.map(slot => slot.toLowerCase()), pageType);
+        generateOptions.onSuggestion = emitInRankedOrder(slotOrder, generateOptions.onSuggestion);
+      }
+      ({ usage, ...result } = await groqService.generateSuggestions(promptContext, { ...generateOptions, signal }));
+
+      // Abandoned prefix — don't let it into the session thread or past searches
+      if (result.cancelled || signal?.aborted) return cancelledResponse;
+
+      if (usesApi && !result.error) {
+        await suggestionCache.set(promptContext, result);
+      }
+    }
+
+    await usageStats.recordRequest({
+      pageType,
+      outcome: fromCache ? 'cache' : result.error ? 'error' : usesApi ? 'api' : 'local',
+      formFill: Boolean(fieldMeta?.fieldType),
+      latencyMs: Date.now() - startedAt,
+      usage,
+      suggestionCount: result.suggestions?.length || 0
+    });
+
+    // Boost the source slot (Session / Context / Smart) the user accepts most —
+    // the same order the streamed suggestions already went out in
+    result = { ...result, suggestions: await feedbackStore.rankSuggestions(result.suggestions, mergedContext.page_type) };
 
     // Record the query into the session tracker AFTER generating suggestions
     if (mergedContext.active_input_text) {
@@ -158,13 +457,35 @@ async function generateSuggestions(data) {
       await storePastSearch(mergedContext.active_input_text, result.suggestions);
     }
 
-    return { success: true, ...result };
+    return { success: true, ...result, pageType: mergedContext.page_type, fromCache, contextSources, redactions };
   } catch (error) {
     console.error('Error:', error);
+    if (pageType) await usageStats.recordRequest({ pageType, outcome: 'error', latencyMs: Date.now() - startedAt });
     return { success: false, error: error.message, suggestions: [] };
+  } finally {
+    if (controller) groqService.endRequest(requestKey, controller);
   }
 }
 
+/**
+ * Wrap an onSuggestion handler so streamed suggestions go out in ranked slot
+ * order: the slot ranked k-th is sent as index k once it and every better
+ * ranked slot have arrived. A ranked slot the model never fills holds back the
+ * rest, which then arrive with the final result.
+ * @param {number[]} slotOrder - model slot indices, best first (FeedbackStore.rankSources)
+ */
+function emitInRankedOrder(slotOrder, onSuggestion) {
+  const arrived = [];
+  let next = 0;
+  return (suggestion, index) => {
+    arrived[index] = suggestion;
+    while (next < slotOrder.length && arrived[slotOrder[next]]) {
+      onSuggestion(arrived[slotOrder[next]], next);
+      next++;
+    }
+  };
+}
+
 async function storePastSearch(query, suggestions) {
   try {
     const stored = await chrome.storage.local.get('pastSearches');
@@ -2,6 +2,26 @@
  * Configuration Manager
  */
 
+import { DEFAULT_PROVIDER } from './providers.js';
+import { createProvider, validateBaseURL } from '../services/llm-provider.js';
+import { DEFAULT_LIMITS } from '../utils/rate-limiter.js';
+import piiRedactor from '../services/pii-redactor.js';
+import { DEFAULT_KEY_BINDINGS, normalizeKeyBindings } from './key-bindings.js';
+
+// Accepted ranges for generation settings (shared with the popup's validation)
+export const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2, default: 0.4 },
+  maxTokens: { min: 16, max: 4096, default: 200 }
+};
+
+// How the content script presents suggestions: one compact card, a list of all
+// of them, or inline ghost text after the caret
+export const OVERLAY_STYLES = ['card', 'list', 'ghost'];
+// 'auto' follows the system's prefers-color-scheme
+export const OVERLAY_THEMES = ['auto', 'light', 'dark'];
+// 'auto' suggests after every typing pause, 'manual' only on the "suggest now" key or command
+export const TRIGGER_MODES = ['auto', 'manual'];
+
 class ConfigManager {
   constructor() {
     this.config = null;
@@ -12,22 +32,47 @@ class ConfigManager {
     if (this.initialized) return;
 
     try {
-      const stored = await chrome.storage.local.get(['groqApiKey', 'config']);
+      const stored = await chrome.storage.local.get(['apiKeys', 'apiKey', 'groqApiKey', 'config']);
       
       this.config = {
-        groqApiKey: stored.groqApiKey || null,
-        model: stored.config?.model || 'llama-3.1-8b-instant',
-        maxTokens: stored.config?.maxTokens || 150,
-        temperature: stored.config?.temperature || 0.3,
+        // One key per endpoint (see getKeyScope), so a key is only ever sent where it was saved
+        apiKeys: stored.apiKeys || {},
+        provider: stored.config?.provider || DEFAULT_PROVIDER,
+        providerBaseURL: stored.config?.providerBaseURL || '',
+        providerAuthScheme: stored.config?.providerAuthScheme || 'bearer',
+        providerAuthHeader: stored.config?.providerAuthHeader || '',
+        providerModel: stored.config?.providerModel || '',
+        // Empty model means "use the provider's default"
+        model: stored.config?.model || '',
+        maxTokens: stored.config?.maxTokens ?? GENERATION_LIMITS.maxTokens.default,
+        temperature: stored.config?.temperature ?? GENERATION_LIMITS.temperature.default,
         enableHistoryTracking: stored.config?.enableHistoryTracking ?? true,
         enableTabAnalysis: stored.config?.enableTabAnalysis ?? true,
         enableAiChatMode: stored.config?.enableAiChatMode ?? true,
-        debugMode: stored.config?.debugMode || false,
-        blockedSensitiveFields: stored.config?.blockedSensitiveFields || [
-          'password', 'passwd', 'pwd', 'credit-card', 'creditcard', 'ssn', 'bank', 'pin', 'cvv', 'api-key', 'token'
-        ]
+        enableStreaming: stored.config?.enableStreaming ?? true,
+        overlayStyle: stored.config?.overlayStyle || 'card',
+        overlayTheme: stored.config?.overlayTheme || 'auto',
+        keyBindings: { ...DEFAULT_KEY_BINDINGS, ...stored.config?.keyBindings },
+        triggerMode: stored.config?.triggerMode || 'auto',
+        // Local request budgets — 0 means unlimited
+        rateLimitPerMinute: stored.config?.rateLimitPerMinute ?? DEFAULT_LIMITS.minute,
+        rateLimitPerHour: stored.config?.rateLimitPerHour ?? DEFAULT_LIMITS.hour,
+        rateLimitPerDay: stored.config?.rateLimitPerDay ?? DEFAULT_LIMITS.day,
+        // Extra regexes masked as [custom] before prompts are built
+        redactionPatterns: stored.config?.redactionPatterns || [],
+        debugMode: stored.config?.debugMode || false
       };
 
+      // 'apiKey' (one key for every provider) and 'groqApiKey' (before providers)
+      // are older storage keys: they belong to the endpoint configured when they were saved
+      const legacyKey = stored.apiKey || stored.groqApiKey;
+      if (legacyKey) {
+        const scope = this.getKeyScope();
+        this.config.apiKeys = { [scope]: legacyKey, ...this.config.apiKeys };
+        await chrome.storage.local.set({ apiKeys: this.config.apiKeys });
+        await chrome.storage.local.remove(['apiKey', 'groqApiKey']);
+      }
+
       this.initialized = true;
     } catch (error) {
       console.error('Config initialization failed:', error);
@@ -35,24 +80,56 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Provider built from the current config (preset + user overrides).
+   */
+  getProvider() {
+    return createProvider(this.config || {});
+  }
+
+  /**
+   * Which stored key a provider config uses: preset id + resolved base URL.
+   * Switching provider or pointing it at another URL needs the key again.
+   * @param {Object} [config] - defaults to the saved config
+   */
+  getKeyScope(config = this.config) {
+    const provider = createProvider(config || {});
+    return `${provider.id}|${provider.baseURL}`;
+  }
+
+  /**
+   * Key saved for a provider config, or '' — never another endpoint's key.
+   */
+  getStoredApiKey(config = this.config) {
+    return this.config?.apiKeys?.[this.getKeyScope(config)] || '';
+  }
+
+  hasApiKey() {
+    return Boolean(this.getStoredApiKey());
+  }
+
   getApiKey() {
-    if (!this.config?.groqApiKey) {
-      throw new Error('Groq API key not configured');
+    const provider = this.getProvider();
+    const apiKey = this.getStoredApiKey();
+    if (!apiKey && provider.requiresKey) {
+      throw new Error(`${provider.label} API key not configured`);
     }
-    return this.config.groqApiKey;
+    return apiKey;
   }
 
+  /**
+   * Save a key for the current provider and base URL only.
+   */
   async setApiKey(apiKey) {
     if (!apiKey || typeof apiKey !== 'string') {
       throw new Error('Invalid API key');
     }
 
-    if (!apiKey.startsWith('gsk_')) {
-      throw new Error('Invalid format. Groq keys start with "gsk_"');
-    }
+    this.getProvider().validateKey(apiKey);
 
-    await chrome.storage.local.set({ groqApiKey: apiKey });
-    this.config.groqApiKey = apiKey;
+    const apiKeys = { ...this.config.apiKeys, [this.getKeyScope()]: apiKey };
+    await chrome.storage.local.set({ apiKeys });
+    this.config.apiKeys = apiKeys;
   }
 
   get(key, defaultValue = null) {
@@ -60,21 +137,84 @@ class ConfigManager {
   }
 
   async update(updates) {
+    this.validateGenerationSettings(updates);
+    if ('providerBaseURL' in updates) validateBaseURL(updates.providerBaseURL);
+    // A model name from the previous endpoint means nothing to the new one
+    if (!('model' in updates) && this.getKeyScope({ ...this.config, ...updates }) !== this.getKeyScope()) {
+      updates = { ...updates, model: '' };
+    }
+    if ('redactionPatterns' in updates) {
+      if (!Array.isArray(updates.redactionPatterns)) throw new Error('Redaction patterns must be a list');
+      piiRedactor.compilePatterns(updates.redactionPatterns);
+    }
+    if ('overlayStyle' in updates && !OVERLAY_STYLES.includes(updates.overlayStyle)) {
+      throw new Error(`Overlay style must be one of: ${OVERLAY_STYLES.join(', ')}`);
+    }
+    if ('overlayTheme' in updates && !OVERLAY_THEMES.includes(updates.overlayTheme)) {
+      throw new Error(`Overlay theme must be one of: ${OVERLAY_THEMES.join(', ')}`);
+    }
+    if ('triggerMode' in updates && !TRIGGER_MODES.includes(updates.triggerMode)) {
+      throw new Error(`Trigger mode must be one of: ${TRIGGER_MODES.join(', ')}`);
+    }
+    if ('keyBindings' in updates) {
+      updates = { ...updates, keyBindings: normalizeKeyBindings(updates.keyBindings) };
+    }
     const currentConfig = await chrome.storage.local.get('config');
     const newConfig = { ...currentConfig.config, ...updates };
     await chrome.storage.local.set({ config: newConfig });
     this.config = { ...this.config, ...updates };
   }
 
-  isConfigured() {
-    return Boolean(this.config?.groqApiKey);
+  /**
+   * Throw if temperature / maxTokens in an update are out of range.
+   */
+  validateGenerationSettings(updates) {
+    if ('temperature' in updates) {
+      const { min, max } = GENERATION_LIMITS.temperature;
+      const value = updates.temperature;
+      if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+        throw new Error(`Temperature must be between ${min} and ${max}`);
+      }
+    }
+    if ('maxTokens' in updates) {
+      const { min, max } = GENERATION_LIMITS.maxTokens;
+      const value = updates.maxTokens;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`Max tokens must be a whole number between ${min} and ${max}`);
+      }
+    }
+  }
+
+  /**
+   * Rate-limit budgets in the shape RateLimiter.setLimits() expects.
+   */
+  getRateLimits() {
+    return {
+      minute: this.get('rateLimitPerMinute', DEFAULT_LIMITS.minute),
+      hour: this.get('rateLimitPerHour', DEFAULT_LIMITS.hour),
+      day: this.get('rateLimitPerDay', DEFAULT_LIMITS.day)
+    };
   }
 
-  isSensitiveField(fieldName) {
-    if (!fieldName) return false;
-    const normalized = fieldName.toLowerCase().replace(/[_\s-]/g, '');
-    const blockedFields = this.config.blockedSensitiveFields.map(f => f.toLowerCase().replace(/[_\s-]/g, ''));
-    return blockedFields.some(blocked => normalized.includes(blocked));
+  /**
+   * Compiled custom redaction regexes. Invalid stored patterns are skipped
+   * rather than blocking every request.
+   */
+  getRedactionPatterns() {
+    return this.get('redactionPatterns', []).flatMap(source => {
+      try {
+        return piiRedactor.compilePatterns([source]);
+      } catch (error) {
+        console.warn(error.message);
+        return [];
+      }
+    });
+  }
+
+  isConfigured() {
+    const provider = this.getProvider();
+    if (!provider.baseURL) return false;
+    return provider.requiresKey ? this.hasApiKey() : true;
   }
 
   async clear() {
@@ -0,0 +1,144 @@
+/**
+ * Key Bindings
+ * Keyboard shortcuts for the in-page overlay. Edited in the popup, validated
+ * by ConfigManager and matched by the content script (loaded there via a
+ * dynamic import).
+ *
+ * Storage: config.keyBindings in chrome.storage.local
+ * Shape: { accept, acceptWord, next, previous, dismiss, trigger, switchProfile }
+ *
+ * Each binding is a combo string — modifiers in the order Ctrl, Alt, Shift,
+ * Meta, then one key: "Tab", "Ctrl+ArrowRight", "Alt+Shift+S". An empty
+ * string leaves the action unbound. Letters and digits are matched by
+ * physical key (KeyboardEvent.code), so Alt/Option combos work on macOS too.
+ *
+ * The global "suggest now" hotkey is a separate manifest command, changed at
+ * chrome://extensions/shortcuts.
+ */
+
+export const KEY_ACTIONS = {
+  accept: 'Accept suggestion',
+  acceptWord: 'Accept next word (ghost text)',
+  next: 'Next suggestion',
+  previous: 'Previous suggestion',
+  dismiss: 'Dismiss',
+  trigger: 'Suggest now',
+  switchProfile: 'Next form-fill profile for this site'
+};
+
+export const DEFAULT_KEY_BINDINGS = {
+  accept: 'Tab',
+  acceptWord: 'Ctrl+ArrowRight',
+  next: 'ArrowDown',
+  previous: 'ArrowUp',
+  dismiss: 'Escape',
+  trigger: 'Ctrl+Space',
+  switchProfile: 'Alt+P'
+};
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+const KEY_ALIASES = {
+  control: 'Ctrl',
+  ctl: 'Ctrl',
+  option: 'Alt',
+  opt: 'Alt',
+  cmd: 'Meta',
+  command: 'Meta',
+  win: 'Meta',
+  esc: 'Escape',
+  return: 'Enter',
+  space: 'Space',
+  spacebar: 'Space',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  left: 'ArrowLeft',
+  right: 'ArrowRight',
+  plus: 'Plus'
+};
+
+// ── Normalising ───────────────────────────────────────────────────────────────
+
+/**
+ * Canonical form of a combo string, or '' for an empty one.
+ * @throws {Error} on a combo without exactly one non-modifier key
+ */
+export function normalizeCombo(combo) {
+  const parts = String(combo || '').split('+').map(part => part.trim()).filter(Boolean);
+  if (!parts.length) return '';
+
+  const modifiers = new Set();
+  const keys = [];
+  for (const part of parts) {
+    const name = canonicalKeyName(part);
+    if (MODIFIERS.includes(name)) modifiers.add(name);
+    else keys.push(name);
+  }
+  if (keys.length !== 1) throw new Error(`Invalid key binding "${combo}": use modifiers plus one key`);
+
+  return [...MODIFIERS.filter(modifier => modifiers.has(modifier)), keys[0]].join('+');
+}
+
+/**
+ * Full binding set with defaults for missing actions.
+ * @throws {Error} on an invalid combo or one combo bound to two actions
+ */
+export function normalizeKeyBindings(bindings = {}) {
+  const normalized = {};
+  const seen = new Map();
+  for (const action of Object.keys(KEY_ACTIONS)) {
+    const combo = normalizeCombo(bindings?.[action] ?? DEFAULT_KEY_BINDINGS[action]);
+    if (combo && seen.has(combo)) {
+      throw new Error(`"${combo}" is bound to both ${KEY_ACTIONS[seen.get(combo)]} and ${KEY_ACTIONS[action]}`);
+    }
+    if (combo) seen.set(combo, action);
+    normalized[action] = combo;
+  }
+  return normalized;
+}
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+
+/**
+ * The combo a keydown event represents, or '' for a bare modifier press.
+ */
+export function eventToCombo(event) {
+  const key = eventKeyName(event);
+  if (!key || MODIFIERS.includes(key)) return '';
+  const modifiers = [
+    event.ctrlKey && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && 'Shift',
+    event.metaKey && 'Meta'
+  ].filter(Boolean);
+  return [...modifiers, key].join('+');
+}
+
+export function matchesBinding(event, combo) {
+  return Boolean(combo) && eventToCombo(event) === combo;
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+function canonicalKeyName(name) {
+  const lower = name.toLowerCase();
+  if (KEY_ALIASES[lower]) return KEY_ALIASES[lower];
+  const modifier = MODIFIERS.find(mod => mod.toLowerCase() === lower);
+  if (modifier) return modifier;
+  if (name.length === 1) return name.toUpperCase();
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function eventKeyName(event) {
+  const { key, code } = event;
+  if (key === 'Control') return 'Ctrl';
+  if (['Alt', 'Shift', 'Meta'].includes(key)) return key;
+  // Printable keys: use the physical key so Shift/Alt don't change the name
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (key === ' ' || code === 'Space') return 'Space';
+  // '+' separates combo parts, so it gets a name
+  if (key === '+') return 'Plus';
+  if (key?.length === 1) return key.toUpperCase();
+  return key || '';
+}
@@ -0,0 +1,69 @@
+/**
+ * LLM Provider Presets
+ * Every provider speaks the OpenAI-compatible chat/completions API; they only
+ * differ in base URL, how the key is sent and what a valid key looks like.
+ *
+ * authScheme:
+ *   'bearer' → Authorization: Bearer <key>
+ *   'header' → <authHeader>: <key>   (e.g. Azure-style "api-key")
+ *   'none'   → no auth header (local Ollama / llama.cpp servers)
+ */
+
+export const PROVIDERS = {
+  groq: {
+    id: 'groq',
+    label: 'Groq Cloud',
+    baseURL: 'https://api.groq.com/openai/v1',
+    authScheme: 'bearer',
+    keyPrefix: 'gsk_',
+    keyURL: 'https://console.groq.com/keys',
+    requiresKey: true,
+    defaultModel: 'llama-3.1-8b-instant'
+  },
+  openai: {
+    id: 'openai',
+    label: 'OpenAI',
+    baseURL: 'https://api.openai.com/v1',
+    authScheme: 'bearer',
+    keyPrefix: 'sk-',
+    keyURL: 'https://platform.openai.com/api-keys',
+    requiresKey: true,
+    defaultModel: 'gpt-4o-mini'
+  },
+  openrouter: {
+    id: 'openrouter',
+    label: 'OpenRouter',
+    baseURL: 'https://openrouter.ai/api/v1',
+    authScheme: 'bearer',
+    keyPrefix: 'sk-or-',
+    keyURL: 'https://openrouter.ai/keys',
+    requiresKey: true,
+    defaultModel: 'meta-llama/llama-3.1-8b-instruct'
+  },
+  ollama: {
+    id: 'ollama',
+    label: 'Ollama (local)',
+    baseURL: 'http://localhost:11434/v1',
+    authScheme: 'none',
+    keyPrefix: '',
+    requiresKey: false,
+    defaultModel: 'llama3.1'
+  },
+  custom: {
+    id: 'custom',
+    label: 'Custom OpenAI-compatible',
+    baseURL: '',
+    authScheme: 'bearer',
+    keyPrefix: '',
+    requiresKey: false,
+    defaultModel: ''
+  }
+};
+
+export const DEFAULT_PROVIDER = 'groq';
+
+export const AUTH_SCHEMES = ['bearer', 'header', 'none'];
+
+export function getProviderPreset(id) {
+  return PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+}
@@ -0,0 +1,158 @@
+/**
+ * Sensitivity Policy
+ * The one place that decides which fields, tabs and sites the extension must
+ * stay away from. Imported by the service worker (form detector, context
+ * collector) and, via a dynamic import, by the content script — so both
+ * sides always apply the same user-editable rules.
+ *
+ * Storage key: 'sensitivityPolicy' in chrome.storage.local
+ * Shape: { fieldKeywords: string[], excludedUrlPatterns: string[], overlayDisabledDomains: string[] }
+ *
+ *   fieldKeywords          – a field whose name/id/label/placeholder/autocomplete
+ *                            contains one of these is never read or suggested into
+ *   excludedUrlPatterns    – tabs and history entries whose URL contains one of
+ *                            these never enter the prompt context
+ *   overlayDisabledDomains – hostnames (and their subdomains) where the overlay
+ *                            never appears
+ *
+ * Keywords of 3 characters or fewer ('pin', 'otp', 'ssn') only match as a whole
+ * word, so 'pin' blocks "pin_code" but not "shipping".
+ */
+
+export const POLICY_STORAGE_KEY = 'sensitivityPolicy';
+
+// Input types that are always sensitive, whatever the keyword list says
+export const SENSITIVE_INPUT_TYPES = ['password', 'email', 'tel', 'number'];
+
+export const DEFAULT_POLICY = {
+  fieldKeywords: [
+    'password', 'passwd', 'pwd', 'credit', 'card', 'cvv', 'cvc', 'ssn',
+    'social security', 'bank', 'account number', 'iban', 'pin', 'otp',
+    'verification', 'auth', 'login', 'token', 'secret', 'api key',
+    'email', 'e-mail', 'mail'
+  ],
+  excludedUrlPatterns: [
+    'bank', 'login', 'signin', 'auth', 'payment',
+    'checkout', 'account', 'admin', 'dashboard'
+  ],
+  overlayDisabledDomains: [
+    'linkedin.com'
+  ]
+};
+
+let activePolicy = normalizePolicy(DEFAULT_POLICY);
+let watching = false;
+
+// ── Loading / saving ──────────────────────────────────────────────────────────
+
+/**
+ * Read the stored policy (falling back to the defaults) and keep it in sync
+ * with later edits from the settings page.
+ */
+export async function loadPolicy() {
+  try {
+    const stored = await chrome.storage.local.get(POLICY_STORAGE_KEY);
+    activePolicy = normalizePolicy(stored[POLICY_STORAGE_KEY] || DEFAULT_POLICY);
+  } catch (error) {
+    console.error('Failed to load sensitivity policy:', error);
+  }
+
+  if (!watching) {
+    watching = true;
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !(POLICY_STORAGE_KEY in changes)) return;
+      activePolicy = normalizePolicy(changes[POLICY_STORAGE_KEY].newValue || DEFAULT_POLICY);
+    });
+  }
+
+  return activePolicy;
+}
+
+export async function savePolicy(policy) {
+  const normalized = normalizePolicy(policy);
+  await chrome.storage.local.set({ [POLICY_STORAGE_KEY]: normalized });
+  activePolicy = normalized;
+  return normalized;
+}
+
+/**
+ * Last loaded policy — synchronous, for hot paths like focus handlers.
+ */
+export function getPolicy() {
+  return activePolicy;
+}
+
+/**
+ * Trim, lowercase and de-duplicate every list; missing lists get the defaults.
+ */
+export function normalizePolicy(policy = {}) {
+  const clean = (list, fallback) => {
+    const source = Array.isArray(list) ? list : fallback;
+    return [...new Set(source.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+  };
+  return {
+    fieldKeywords: clean(policy.fieldKeywords, DEFAULT_POLICY.fieldKeywords),
+    excludedUrlPatterns: clean(policy.excludedUrlPatterns, DEFAULT_POLICY.excludedUrlPatterns),
+    overlayDisabledDomains: clean(policy.overlayDisabledDomains, DEFAULT_POLICY.overlayDisabledDomains)
+      .map(domain => domain.replace(/^https?:\/\//, '').replace(/\/.*$/, '').replace(/^\*\./, ''))
+  };
+}
+
+// ── Checks ────────────────────────────────────────────────────────────────────
+
+/**
+ * True when any of the given field attributes matches a sensitive keyword.
+ * @param {{name?, id?, placeholder?, autocomplete?, label?, ariaLabel?, type?}} field
+ * @param {Object} [options]
+ * @param {string[]} [options.allowTypes] - SENSITIVE_INPUT_TYPES the caller vets
+ *   itself (form fill takes number and tel); the keyword check still applies
+ */
+export function isSensitiveField(field, policy = activePolicy, { allowTypes = [] } = {}) {
+  if (!field) return false;
+  const type = String(field.type || '').toLowerCase();
+  if (SENSITIVE_INPUT_TYPES.includes(type) && !allowTypes.includes(type)) return true;
+
+  const text = [field.name, field.id, field.placeholder, field.autocomplete, field.label, field.ariaLabel]
+    .filter(Boolean)
+    .join(' ');
+  return matchesKeyword(text, policy.fieldKeywords);
+}
+
+/**
+ * Free-text variant used by the service worker, where only the typed text
+ * and a field name are known.
+ */
+export function isSensitiveText(text, policy = activePolicy) {
+  return matchesKeyword(text, policy.fieldKeywords);
+}
+
+export function isExcludedUrl(url, policy = activePolicy) {
+  const lower = String(url || '').toLowerCase();
+  return Boolean(lower) && policy.excludedUrlPatterns.some(pattern => lower.includes(pattern));
+}
+
+export function isOverlayDisabled(hostname, policy = activePolicy) {
+  const host = String(hostname || '').toLowerCase();
+  return policy.overlayDisabledDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+// Split camelCase and punctuation so "userPIN" and "pin-code" both yield the word "pin"
+function normalizeFieldText(text) {
+  return String(text || '')
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_');
+}
+
+function matchesKeyword(text, keywords) {
+  const normalized = normalizeFieldText(text);
+  if (!normalized) return false;
+  const words = `_${normalized}_`;
+  return keywords.some(keyword => {
+    const key = normalizeFieldText(keyword).replace(/^_+|_+$/g, '');
+    if (!key) return false;
+    return key.length <= 3 ? words.includes(`_${key}_`) : normalized.includes(key);
+  });
+}
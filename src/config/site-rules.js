@@ -0,0 +1,129 @@
+/**
+ * Site Rules
+ * Per-site modes keyed by hostname pattern, managed from the popup and
+ * enforced by the content script (loaded there via a dynamic import).
+ *
+ * Storage key: 'siteRules' in chrome.storage.local
+ * Shape: [{ pattern, mode }]
+ *
+ *   pattern – "github.com" matches the domain and its subdomains;
+ *             "*" is a wildcard ("docs.*", "*.corp.example.com")
+ *   mode    – 'on'        always on, even on sites in the overlay-disabled list
+ *             'off'       no suggestions at all
+ *             'form_fill' only fields the form-fill detector recognises
+ *             'search'    only search boxes
+ *
+ * Sites without a rule behave as before: on, unless listed as
+ * overlay-disabled in the sensitivity policy. The popup's master switch
+ * still turns everything off.
+ */
+
+export const SITE_RULES_STORAGE_KEY = 'siteRules';
+
+export const SITE_MODES = {
+  on: 'Always on',
+  off: 'Off',
+  form_fill: 'Form-fill only',
+  search: 'Search only'
+};
+
+let activeRules = [];
+let watching = false;
+
+// ── Loading / saving ──────────────────────────────────────────────────────────
+
+export async function loadSiteRules() {
+  try {
+    const stored = await chrome.storage.local.get(SITE_RULES_STORAGE_KEY);
+    activeRules = normalizeSiteRules(stored[SITE_RULES_STORAGE_KEY]);
+  } catch (error) {
+    console.error('Failed to load site rules:', error);
+  }
+
+  if (!watching) {
+    watching = true;
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !(SITE_RULES_STORAGE_KEY in changes)) return;
+      activeRules = normalizeSiteRules(changes[SITE_RULES_STORAGE_KEY].newValue);
+    });
+  }
+
+  return activeRules;
+}
+
+export async function saveSiteRules(rules) {
+  const normalized = normalizeSiteRules(rules);
+  await chrome.storage.local.set({ [SITE_RULES_STORAGE_KEY]: normalized });
+  activeRules = normalized;
+  return normalized;
+}
+
+export function getSiteRules() {
+  return activeRules;
+}
+
+/**
+ * Lowercase patterns, drop unknown modes, and keep only the last rule per pattern.
+ */
+export function normalizeSiteRules(rules) {
+  const byPattern = new Map();
+  (Array.isArray(rules) ? rules : []).forEach(rule => {
+    const pattern = normalizeSitePattern(rule?.pattern);
+    if (pattern && rule.mode in SITE_MODES) byPattern.set(pattern, { pattern, mode: rule.mode });
+  });
+  return [...byPattern.values()];
+}
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+
+/**
+ * The rule that applies to a hostname — the most specific match wins.
+ * @returns {{pattern: string, mode: string}|null}
+ */
+export function findSiteRule(hostname, rules = activeRules) {
+  const host = String(hostname || '').toLowerCase();
+  if (!host) return null;
+
+  return rules
+    .filter(rule => matchesHost(rule.pattern, host))
+    .sort((a, b) => specificity(b.pattern) - specificity(a.pattern))[0] || null;
+}
+
+export function getSiteMode(hostname, rules = activeRules) {
+  return findSiteRule(hostname, rules)?.mode || null;
+}
+
+/**
+ * Rule list with `hostname` set to `mode` (replacing an exact-host rule), or
+ * with it removed when mode is null.
+ */
+export function withSiteMode(rules, hostname, mode) {
+  const pattern = normalizeSitePattern(hostname);
+  const others = rules.filter(rule => rule.pattern !== pattern);
+  return mode ? [...others, { pattern, mode }] : others;
+}
+
+/**
+ * Hostname pattern as stored: lowercase, no scheme, path or port. Shared with
+ * the per-site form-fill profile rules.
+ */
+export function normalizeSitePattern(pattern) {
+  return String(pattern || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/:].*$/, '');
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+function matchesHost(pattern, host) {
+  if (!pattern.includes('*')) return host === pattern || host.endsWith(`.${pattern}`);
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(host);
+}
+
+// Literal characters count; wildcards don't
+function specificity(pattern) {
+  return pattern.replace(/\*/g, '').length;
+}
@@ -0,0 +1,247 @@
+/**
+ * User Profiles
+ * Named form-fill profiles ("Personal", "Work", ...) — what the user has told
+ * us about themselves in each role. Edited on the options page, switched per
+ * site from the popup and the overlay, and consulted first by the form
+ * detector, so most profile fields are answered locally without a provider call.
+ * Loaded by the content script too, via a dynamic import.
+ *
+ * Storage key: 'userProfiles' in chrome.storage.local (never sent to the
+ * provider; wiped by Clear All Data)
+ * Shape: {
+ *   profiles:  [{ id, name, firstName, lastName, pronouns, jobTitle, company,
+ *                 linkedinUrl, githubUrl, website, city, country, zip,
+ *                 education, experienceYears, skills: string[] }],
+ *   defaultId: profile used where no site rule matches,
+ *   siteRules: [{ pattern, profileId }]
+ * }
+ *
+ * Site rule patterns work like the site-mode rules: "github.com" covers its
+ * subdomains, "*" is a wildcard, and the most specific match wins.
+ */
+
+import { findSiteRule, normalizeSitePattern } from './site-rules.js';
+
+export const PROFILES_STORAGE_KEY = 'userProfiles';
+// Single-profile key from before named profiles; migrated on first load
+const LEGACY_STORAGE_KEY = 'userProfile';
+
+export const MAX_PROFILES = 10;
+
+// Field → label, in the order the options page shows them
+export const PROFILE_FIELDS = {
+  firstName: 'First name',
+  lastName: 'Last name',
+  pronouns: 'Pronouns',
+  jobTitle: 'Job title',
+  company: 'Company',
+  linkedinUrl: 'LinkedIn URL',
+  githubUrl: 'GitHub URL',
+  website: 'Website',
+  city: 'City',
+  country: 'Country',
+  zip: 'ZIP / postal code',
+  education: 'Education',
+  experienceYears: 'Years of experience',
+  skills: 'Skills'
+};
+
+export const EMPTY_PROFILE = {
+  ...Object.fromEntries(Object.keys(PROFILE_FIELDS).map(field => [field, ''])),
+  skills: []
+};
+
+let activeState = normalizeProfiles(null);
+let watching = false;
+
+// ── Loading / saving ──────────────────────────────────────────────────────────
+
+/**
+ * Read the stored profiles and keep them in sync with later edits from the
+ * options page, the popup and the overlay.
+ */
+export async function loadProfiles() {
+  try {
+    const stored = await chrome.storage.local.get([PROFILES_STORAGE_KEY, LEGACY_STORAGE_KEY]);
+    if (!stored[PROFILES_STORAGE_KEY] && stored[LEGACY_STORAGE_KEY]) {
+      const profile = { ...stored[LEGACY_STORAGE_KEY], id: 'personal', name: 'Personal' };
+      activeState = normalizeProfiles({ profiles: [profile], defaultId: profile.id });
+      await chrome.storage.local.set({ [PROFILES_STORAGE_KEY]: activeState });
+      await chrome.storage.local.remove(LEGACY_STORAGE_KEY);
+    } else {
+      activeState = normalizeProfiles(stored[PROFILES_STORAGE_KEY]);
+    }
+  } catch (error) {
+    console.error('Failed to load user profiles:', error);
+  }
+
+  if (!watching) {
+    watching = true;
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !(PROFILES_STORAGE_KEY in changes)) return;
+      activeState = normalizeProfiles(changes[PROFILES_STORAGE_KEY].newValue);
+    });
+  }
+
+  return activeState;
+}
+
+/**
+ * @throws {Error} on a duplicate or empty name, a non-numeric years of
+ *   experience, or a link that isn't http(s)
+ */
+export async function saveProfiles(state) {
+  const normalized = normalizeProfiles(state);
+  validateProfiles(normalized, state);
+  await chrome.storage.local.set({ [PROFILES_STORAGE_KEY]: normalized });
+  activeState = normalized;
+  return normalized;
+}
+
+export async function clearProfiles() {
+  activeState = normalizeProfiles(null);
+  await chrome.storage.local.remove([PROFILES_STORAGE_KEY, LEGACY_STORAGE_KEY]);
+}
+
+/**
+ * Last loaded profiles — synchronous, for the form detector and overlay.
+ */
+export function getProfiles() {
+  return activeState;
+}
+
+/**
+ * A blank profile with a fresh id.
+ */
+export function createProfile(name) {
+  const id = `profile-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  return { id, name: String(name || '').trim(), ...EMPTY_PROFILE, skills: [] };
+}
+
+/**
+ * Always at least one profile; a default that exists; rules only for known
+ * profiles, one per pattern (last wins).
+ */
+export function normalizeProfiles(state) {
+  const source = Array.isArray(state?.profiles) && state.profiles.length ? state.profiles : [{ id: 'personal', name: 'Personal' }];
+  const profiles = source.slice(0, MAX_PROFILES).map(normalizeProfile);
+  const ids = new Set(profiles.map(profile => profile.id));
+
+  const byPattern = new Map();
+  (Array.isArray(state?.siteRules) ? state.siteRules : []).forEach(rule => {
+    const pattern = normalizeSitePattern(rule?.pattern);
+    if (pattern && ids.has(rule.profileId)) byPattern.set(pattern, { pattern, profileId: rule.profileId });
+  });
+
+  return {
+    profiles,
+    defaultId: ids.has(state?.defaultId) ? state.defaultId : profiles[0].id,
+    siteRules: [...byPattern.values()]
+  };
+}
+
+/**
+ * Trim every field; skills may come in as a list or a comma-separated string.
+ */
+export function normalizeProfile(profile = {}) {
+  const normalized = {
+    id: String(profile.id || '').trim() || createProfile().id,
+    name: String(profile.name ?? '').trim().slice(0, 40)
+  };
+  for (const field of Object.keys(PROFILE_FIELDS)) {
+    if (field === 'skills') continue;
+    normalized[field] = String(profile[field] ?? '').trim().slice(0, 200);
+  }
+
+  const skills = Array.isArray(profile.skills) ? profile.skills : String(profile.skills || '').split(',');
+  normalized.skills = [...new Set(skills.map(skill => String(skill).trim()).filter(Boolean))].slice(0, 30);
+  return normalized;
+}
+
+function validateProfiles(normalized, input) {
+  if (Array.isArray(input?.profiles) && input.profiles.length > MAX_PROFILES) {
+    throw new Error(`At most ${MAX_PROFILES} profiles`);
+  }
+  const names = new Set();
+  for (const profile of normalized.profiles) {
+    if (!profile.name) throw new Error('Every profile needs a name');
+    const key = profile.name.toLowerCase();
+    if (names.has(key)) throw new Error(`Two profiles are named "${profile.name}"`);
+    names.add(key);
+
+    if (profile.experienceYears && !/^\d{1,2}(\.\d)?\+?$/.test(profile.experienceYears)) {
+      throw new Error(`${profile.name}: years of experience must be a number`);
+    }
+    for (const field of ['linkedinUrl', 'githubUrl', 'website']) {
+      if (profile[field] && !/^https?:\/\/\S+$/i.test(profile[field])) {
+        throw new Error(`${profile.name}: ${PROFILE_FIELDS[field]} must start with http:// or https://`);
+      }
+    }
+  }
+}
+
+// ── Per-site selection ────────────────────────────────────────────────────────
+
+/**
+ * The profile for a page: the most specific site rule, else the default.
+ * @param {string} pageUrl - full URL or bare hostname
+ */
+export function resolveProfile(pageUrl, state = activeState) {
+  const rule = findSiteRule(getHostname(pageUrl), state.siteRules);
+  return state.profiles.find(profile => profile.id === rule?.profileId)
+    || state.profiles.find(profile => profile.id === state.defaultId)
+    || state.profiles[0];
+}
+
+/**
+ * The site rule that picks the profile for a page, or null when the default applies.
+ */
+export function findProfileRule(pageUrl, state = activeState) {
+  return findSiteRule(getHostname(pageUrl), state.siteRules);
+}
+
+/**
+ * State with `hostname` mapped to `profileId` (replacing an exact-host rule),
+ * or with that rule removed when profileId is null.
+ */
+export function withSiteProfile(state, hostname, profileId) {
+  const pattern = normalizeSitePattern(hostname);
+  const others = state.siteRules.filter(rule => rule.pattern !== pattern);
+  return { ...state, siteRules: profileId ? [...others, { pattern, profileId }] : others };
+}
+
+// ── Lookup ────────────────────────────────────────────────────────────────────
+
+/**
+ * Profile value for a form-detector field type, or '' when the profile
+ * doesn't cover it.
+ */
+export function getProfileValue(fieldType, profile) {
+  if (!profile) return '';
+  switch (fieldType) {
+    case 'first_name': return profile.firstName;
+    case 'last_name': return profile.lastName;
+    case 'full_name': return [profile.firstName, profile.lastName].filter(Boolean).join(' ');
+    case 'pronouns': return profile.pronouns;
+    case 'job_title': return profile.jobTitle;
+    case 'company': return profile.company;
+    case 'linkedin_url': return profile.linkedinUrl;
+    case 'github_url': return profile.githubUrl;
+    case 'website': return profile.website;
+    case 'city': return profile.city;
+    case 'country': return profile.country;
+    case 'zip': return profile.zip;
+    case 'education': return profile.education;
+    case 'experience_years': return profile.experienceYears;
+    case 'skills': return profile.skills.join(', ');
+    default: return '';
+  }
+}
+
+function getHostname(pageUrl) {
+  try {
+    return new URL(pageUrl).hostname;
+  } catch {
+    return String(pageUrl || '');
+  }
+}
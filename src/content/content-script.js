@@ -2,6 +2,17 @@
  * Enhanced Content Script - Works EVERYWHERE
  * + Smart Form-Fill detection
  * + Session-aware suggestion labels
+ * + Streamed suggestions over a long-lived runtime port
+ * + Shared, user-editable sensitivity policy (src/config/sensitivity-policy.js)
+ * + Per-site modes: always on / off / form-fill only / search only (src/config/site-rules.js)
+ * + Dropdown list overlay (ARIA combobox + listbox) as an alternative to the compact card
+ * + Inline ghost-text completion after the caret (Tab / → accepts, Ctrl+→ one word)
+ * + Overlay isolated in a closed shadow root, themed (light / dark / auto) and
+ *   positioned in viewport coordinates so it works in frames, scrolling
+ *   containers and under fixed headers
+ * + Configurable key bindings (src/config/key-bindings.js), a "suggest now"
+ *   key / global command, and a trigger-only mode
+ * + Feedback events (accepted / cycled / dismissed) sent to the service worker
  */
 
 (function() {
@@ -16,64 +27,104 @@
   let isAddressBar = false;
   let extensionEnabled = true;
 
-  // Sites where the extension should stay completely silent
-  const BLOCKED_DOMAINS = [
-    'linkedin.com'
-  ];
-
-  // ── Form-fill detector (inline, no import needed in content scripts) ────────
-  const FORM_FIELD_PATTERNS = {
-    // Sensitive must be checked 
-    sensitive: ['password', 'passwd', 'pwd', 'credit', 'card', 'cvv', 'cvc', 'ssn', 'bank', 'pin', 'otp', 'auth', 'token', 'secret', 'email', 'e_mail', 'mail'],
-    job_title: ['job_title', 'jobtitle', 'position', 'role', 'designation', 'occupation', 'job_role'],
-    // 'title' alone is too broad (page titles, article titles etc.) — only match when combined
-    company:   ['company', 'employer', 'organisation', 'organization', 'workplace', 'firm', 'companyname'],
-    // ' os ' with spaces won't match after space→_ normalization; use '_os_', 'os_name', or standalone 'os' at word boundary
-    os:        ['operating_system', 'operatingsystem', '_os_', 'os_name', 'your_os', 'platform'],
-    browser:   ['browser', 'useragent', 'user_agent', 'browsername'],
-    version:   ['version', 'app_version', 'appversion', 'software_version', 'softwareversion'],
-    languages: ['spoken_language', 'preferred_language', 'language_preference', 'native_language', 'mother_tongue', 'languages_spoken'],
-    pronouns: ['pronouns', 'pronoun', 'gender_pronoun', 'preferred_pronouns'],
-    education: ['education', 'education_level', 'highest_education', 'degree', 'qualification', 'academic_level'],
-    skills:    ['skill', 'expertise', 'technology', 'tech_stack', 'techstack', 'tools'],
-    linkedin_url: ['linkedin'],
-    github_url:   ['github'],
-    timezone: ['timezone', 'time_zone'],
-    website:      ['website', 'portfolio', 'personal_site', 'homepage', 'personal_url'],
-    experience_years: ['years_of_exp', 'yearsofexp', 'experience_years', 'yoe', 'years_experience'],
-    issue_subject:     ['subject', 'issue_title', 'issuetitle', 'ticket_title', 'tickettitle', 'summary'],
-    issue_description: ['description', 'details', 'body', 'explain', 'steps_to_reproduce', 'reproduce']
-  };
-
-  function classifyField(element) {
-    if (!element) return null;
-    const combined = [
-      element.name, element.id, element.placeholder,
-      element.getAttribute('autocomplete'),
-      element.getAttribute('aria-label'),
-      element.type
-    ].join(' ').toLowerCase().replace(/[-\s]/g, '_');
-
-    // Always block sensitive types first
-    if (element.type === 'password' || element.type === 'email' || element.type === 'tel') return null;
-
-    // Iterate patterns — sensitive must be first entry in the object to act as a gate
-    for (const [type, keywords] of Object.entries(FORM_FIELD_PATTERNS)) {
-      const normalizedKeywords = keywords.map(k => k.replace(/[-\s]/g, '_'));
-      if (normalizedKeywords.some(k => combined.includes(k))) {
-        return type === 'sensitive' ? null : type;
-      }
+  // 'card' shows one suggestion at a time, 'list' shows all of them as a listbox,
+  // 'ghost' draws the rest of the suggestion inline after the caret
+  let overlayStyle = 'card';
+  // 'light' | 'dark' | 'auto' (follows prefers-color-scheme)
+  let overlayTheme = 'auto';
+  // Closed shadow root holding the overlay, ghost text and live region
+  let overlayHost = null;
+  let overlayRoot = null;
+  let liveRegion = null;
+
+  // Shared key-binding module (loaded in startSuggestions) and the user's bindings
+  let keyBindingsModule = null;
+  let keyBindings = null;
+  // Shared form-fill profiles module — the overlay's per-site profile switcher
+  let profilesModule = null;
+  // Shared field classifier (utils/field-classifier.js), loaded on start
+  let fieldClassifier = null;
+  // 'auto' suggests after each typing pause, 'manual' only when triggered
+  let triggerMode = 'auto';
+  // Badge inputs for the suggestions on screen, so re-renders keep them
+  let suggestionDisplay = { reason: '', isFormFill: false };
+  // Enter only accepts from the list once the user has moved the highlight,
+  // so it still submits search boxes by default
+  let listNavigated = false;
+  // Screen-reader copy of the open list in the page's DOM, and the input's own
+  // ARIA attributes it displaced (put back when the list closes)
+  let listboxMirror = null;
+  let ariaBackup = null;
+
+  // Inline ghost text: a mirror element over the input and the completion it shows
+  let ghostElement = null;
+  let ghostCompletion = '';
+  // What was typed when the ghost text first appeared (the feedback query)
+  let ghostQuery = '';
+
+  // Long-lived port to the service worker; requests are matched by requestId
+  let suggestionPort = null;
+  let requestCounter = 0;
+  let activeRequestId = null;
+  const pendingRequests = new Map();
+
+  // Shared sensitivity policy module, loaded in initialize(). Until it loads
+  // (or if it can't), every field is treated as sensitive.
+  let sensitivityPolicy = null;
+  // Per-site rules module, loaded in initialize()
+  let siteRules = null;
+  let suggestionsStarted = false;
+
+  // AI chat sites whose recent conversation is sent as follow-up context.
+  // `messages` matches turns in document order; `role` says which side wrote it.
+  const AI_CHAT_SITES = [
+    {
+      domains: ['chat.openai.com', 'chatgpt.com'],
+      messages: '[data-message-author-role]',
+      role: el => el.getAttribute('data-message-author-role') === 'user' ? 'user' : 'assistant'
+    },
+    {
+      domains: ['claude.ai'],
+      messages: '[data-testid="user-message"], .font-user-message, .font-claude-message',
+      role: el => el.matches('[data-testid="user-message"], .font-user-message') ? 'user' : 'assistant'
+    },
+    {
+      domains: ['gemini.google.com', 'bard.google.com'],
+      messages: 'user-query, model-response',
+      role: el => el.tagName.toLowerCase() === 'user-query' ? 'user' : 'assistant'
+    },
+    {
+      domains: ['copilot.microsoft.com'],
+      messages: '[data-content="user-message"], [data-content="ai-message"]',
+      role: el => el.getAttribute('data-content') === 'user-message' ? 'user' : 'assistant'
+    },
+    {
+      domains: ['perplexity.ai'],
+      messages: '[class*="group/query"], .prose',
+      role: el => el.classList.contains('prose') ? 'assistant' : 'user'
     }
+  ];
 
-    if (isSpokenLanguageField(combined)) return 'languages';
-
-    // Special case: bare 'os' as a whole word (e.g. name="os", id="os")
-    if (/(?:^|_)os(?:_|$)/.test(combined)) return 'os';
+  // ── Form-fill detection ─────────────────────────────────────────────────────
+  // What a field is for comes from the shared classifier (utils/field-classifier.js),
+  // the same one the service worker's form detector uses.
 
-    // Special case: bare 'tz' as a whole word (e.g. name="tz", name="user_tz")
-    if (/(?:^|_)tz(?:_|$)/.test(combined)) return 'timezone';
+  /**
+   * Field type and confidence, or null for sensitive and unrecognised fields.
+   * @param {Object} [sensitivity] - options for isSensitiveField
+   * @returns {{type: string, confidence: number, matched: string[], signals: Object} | null}
+   */
+  function classifyFieldDetails(element, sensitivity) {
+    if (!element || !fieldClassifier) return null;
+    // Always block sensitive fields first
+    if (isSensitiveField(element, sensitivity)) return null;
+    const signals = fieldClassifier.readFieldSignals(element);
+    const result = fieldClassifier.classifyField(signals);
+    return result && { ...result, signals };
+  }
 
-    return null;
+  function classifyField(element) {
+    return classifyFieldDetails(element)?.type || null;
   }
 
   function detectOS() {
@@ -104,40 +155,6 @@
       .trim();
   }
 
-  function isSpokenLanguageField(combined) {
-    const explicitPatterns = [
-      'spoken_language',
-      'preferred_language',
-      'language_preference',
-      'native_language',
-      'mother_tongue',
-      'languages_spoken'
-    ];
-
-    if (explicitPatterns.some(pattern => combined.includes(pattern))) {
-      return true;
-    }
-
-    if (!/(?:^|_)(language|languages)(?:_|$)/.test(combined)) {
-      return false;
-    }
-
-    const technicalPatterns = [
-      'coding_language',
-      'programming_language',
-      'query_language',
-      'language_style',
-      'primary_language',
-      'secondary_language',
-      'source_language',
-      'target_language',
-      'language_code',
-      'locale'
-    ];
-
-    return !technicalPatterns.some(pattern => combined.includes(pattern));
-  }
-
   function matchesLanguageOption(optionNormalized, variation) {
     const normalizedVariation = normalizeCandidateValue(variation);
     if (!normalizedVariation) return false;
@@ -169,6 +186,9 @@
     return candidates;
   }
 
+  // "Select…" style entries that stand for "nothing chosen yet"
+  const PLACEHOLDER_OPTION_PATTERN = /^(select|choose|please select|pick one|--|n\/a)$/i;
+
   function collectFieldOptions(element) {
     if (!element) return [];
 
@@ -182,10 +202,7 @@
 
     return rawOptions
       .map(option => option.trim())
-      .filter(option =>
-        option &&
-        !/^(select|choose|please select|pick one|--|n\/a)$/i.test(option)
-      );
+      .filter(option => option && !PLACEHOLDER_OPTION_PATTERN.test(option));
   }
 
   function buildLanguageCandidates(element) {
@@ -248,14 +265,17 @@
    * we still send the fieldType so the service worker / groq-service can use
    * the form-field prompt rather than the generic search prompt.
    */
-  function buildFieldMeta(element) {
-    const fieldType = classifyField(element);
-    if (!fieldType) return null;
+  function buildFieldMeta(element, sensitivity) {
+    const classification = classifyFieldDetails(element, sensitivity);
+    if (!classification) return null;
 
-    const nearbyLabel = getNearbyLabel(element);
+    const { type: fieldType, confidence, signals } = classification;
     const meta = {
       fieldType,
-      fieldLabel: nearbyLabel || element.placeholder || element.name || element.id || fieldType,
+      fieldConfidence: confidence,
+      fieldLabel: signals.label || signals.ariaLabel || signals.placeholder || signals.name || signals.id || fieldType,
+      // What the field was classified from, so the service worker sees the real field
+      signals,
       isFormFill: false,
       candidates: []
     };
@@ -323,10 +343,13 @@
       }
     }
 
-    // ── Tab-dependent types: mark isFormFill so service-worker uses
+    // ── Profile- and tab-dependent types: mark isFormFill so service-worker uses
     //    form-fill prompt path, candidates filled in by service worker
-    //    via form-detector using the open tabs it can access ───────────────────
-    const tabDependentTypes = ['job_title', 'company', 'skills', 'linkedin_url', 'github_url', 'website', 'issue_subject', 'experience_years'];
+    //    via form-detector from the saved profile and the open tabs ────────────
+    const tabDependentTypes = [
+      'job_title', 'company', 'skills', 'linkedin_url', 'github_url', 'website', 'issue_subject', 'experience_years',
+      'first_name', 'last_name', 'full_name', 'pronouns', 'education', 'city', 'country', 'zip'
+    ];
     if (tabDependentTypes.includes(fieldType)) {
       // Flag it so groq-service uses the form-field prompt, even if no local candidates
       meta.isFormFill = true;
@@ -338,33 +361,57 @@
     return meta;
   }
 
+  // ── Overlay setup ──────────────────────────────────────────────────────────
+
+  function isBlockedDomain() {
+    return !sensitivityPolicy || sensitivityPolicy.isOverlayDisabled(window.location.hostname);
+  }
+
+  function getSiteMode() {
+    return siteRules?.getSiteMode(window.location.hostname) || null;
+  }
+
   /**
-   * Walk up the DOM to find a nearby <label> text.
+   * A site rule wins over the overlay-disabled list; without one, fall back to it.
    */
-  function getNearbyLabel(element) {
-    // Check for associated label via 'for' attribute
-    if (element.id) {
-      const label = document.querySelector(`label[for="${element.id}"]`);
-      if (label) return label.textContent.trim();
-    }
-    // Check parent label
-    let parent = element.parentElement;
-    for (let i = 0; i < 4; i++) {
-      if (!parent) break;
-      if (parent.tagName === 'LABEL') return parent.textContent.trim().replace(element.value || '', '').trim();
-      // Sibling label
-      const siblingLabel = parent.querySelector('label');
-      if (siblingLabel) return siblingLabel.textContent.trim();
-      parent = parent.parentElement;
-    }
-    return null;
+  function isSiteActive() {
+    const mode = getSiteMode();
+    return mode ? mode !== 'off' : !isBlockedDomain();
   }
 
-  // ── Overlay setup ──────────────────────────────────────────────────────────
+  /**
+   * Whether suggestions may appear in this input under the site's mode.
+   */
+  function isInputAllowed(element) {
+    if (isSensitiveField(element) || !isSiteActive()) return false;
+    const mode = getSiteMode();
+    if (mode === 'form_fill') return Boolean(classifyField(element));
+    if (mode === 'search') return isSearchInput(element);
+    return true;
+  }
 
-  function isBlockedDomain() {
-    const host = window.location.hostname.toLowerCase();
-    return BLOCKED_DOMAINS.some(domain => host.includes(domain));
+  function isSearchInput(element) {
+    if (isGoogleSearchInput(element)) return true;
+    const type = element.type?.toLowerCase();
+    const name = `${element.name || ''} ${element.id || ''}`.toLowerCase();
+    return type === 'search' ||
+           element.getAttribute('role') === 'searchbox' ||
+           /(^|[\s_-])(q|query|search|keywords?)([\s_-]|$)/.test(name) ||
+           Boolean(element.closest?.('form[role="search"], [role="search"]'));
+  }
+
+  /**
+   * Content scripts can't use static imports, so the shared policy module is
+   * pulled in as a web-accessible resource.
+   */
+  async function loadSensitivityPolicy() {
+    try {
+      const policyModule = await import(chrome.runtime.getURL('src/config/sensitivity-policy.js'));
+      await policyModule.loadPolicy();
+      sensitivityPolicy = policyModule;
+    } catch (error) {
+      console.error('Failed to load sensitivity policy:', error);
+    }
   }
 
   async function loadExtensionState() {
@@ -377,84 +424,406 @@
     }
   }
 
+  async function loadKeyBindings() {
+    try {
+      keyBindingsModule = await import(chrome.runtime.getURL('src/config/key-bindings.js'));
+    } catch (error) {
+      console.error('Failed to load key bindings:', error);
+    }
+  }
+
+  async function loadFieldClassifier() {
+    try {
+      fieldClassifier = await import(chrome.runtime.getURL('src/utils/field-classifier.js'));
+    } catch (error) {
+      console.error('Failed to load field classifier:', error);
+    }
+  }
+
+  async function loadProfilesModule() {
+    try {
+      profilesModule = await import(chrome.runtime.getURL('src/config/user-profile.js'));
+      // Keeps itself in sync with edits from the options page and popup
+      await profilesModule.loadProfiles();
+    } catch (error) {
+      console.error('Failed to load form-fill profiles:', error);
+    }
+  }
+
+  async function loadOverlaySettings() {
+    try {
+      const stored = await chrome.storage.local.get('config');
+      applyOverlaySettings(stored.config || {});
+    } catch (error) {
+      console.error('Failed to load overlay settings:', error);
+    }
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes.config) return;
+      const previousStyle = overlayStyle;
+      applyOverlaySettings(changes.config.newValue || {});
+      if (overlayStyle !== previousStyle) hideSuggestion();
+    });
+  }
+
+  function applyOverlaySettings(config) {
+    overlayStyle = config.overlayStyle || 'card';
+    overlayTheme = config.overlayTheme || 'auto';
+    triggerMode = config.triggerMode || 'auto';
+    if (overlayHost) overlayHost.dataset.theme = overlayTheme;
+    try {
+      keyBindings = keyBindingsModule?.normalizeKeyBindings(config.keyBindings) || null;
+    } catch (error) {
+      console.error('Invalid key bindings, using defaults:', error);
+      keyBindings = keyBindingsModule.normalizeKeyBindings({});
+    }
+  }
+
+  function isKey(event, action) {
+    return Boolean(keyBindingsModule?.matchesBinding(event, keyBindings?.[action]));
+  }
+
+  async function loadSiteRules() {
+    try {
+      const rulesModule = await import(chrome.runtime.getURL('src/config/site-rules.js'));
+      await rulesModule.loadSiteRules();
+      siteRules = rulesModule;
+    } catch (error) {
+      console.error('Failed to load site rules:', error);
+    }
+  }
+
   async function initialize() {
-    if (isBlockedDomain()) {
+    await loadSensitivityPolicy();
+    await loadSiteRules();
+    // Always listen, so the popup can switch this site back on without a reload
+    setupMessageListener();
+    if (!isSiteActive()) {
       console.log('AI Context Assistant: disabled on', window.location.hostname);
       return;
     }
+    await startSuggestions();
+  }
+
+  // Subframes start only when they're same-origin with the top page and the
+  // user focuses an editable field in them — third-party and ad frames never
+  // load the shared modules or the saved profiles
+  function initializeFrame() {
+    if (!isSameOriginFrame()) return;
+    const start = async (target) => {
+      await initialize();
+      if (suggestionsStarted && document.activeElement === target) trackFocusedInput(target);
+    };
+    if (isInputElement(document.activeElement)) {
+      start(document.activeElement);
+      return;
+    }
+    const onFirstFocus = (e) => {
+      if (!isInputElement(e.target)) return;
+      document.removeEventListener('focusin', onFirstFocus, true);
+      start(e.target);
+    };
+    document.addEventListener('focusin', onFirstFocus, true);
+  }
+
+  function isSameOriginFrame() {
+    try {
+      return window.top.location.origin === window.location.origin;
+    } catch {
+      return false;
+    }
+  }
+
+  async function startSuggestions() {
+    if (suggestionsStarted) return;
+    suggestionsStarted = true;
     await loadExtensionState();
+    await loadKeyBindings();
+    await loadFieldClassifier();
+    await loadProfilesModule();
+    await loadOverlaySettings();
     setupInputTracking();
-    setupMessageListener();
     createSuggestionOverlay();
+    createGhostText();
     setupAddressBarDetection();
-    console.log('AI Context Assistant - Session+FormFill mode active');
+    console.log('AI Context Assistant - Session+FormFill mode active', getSiteMode() ? `(site mode: ${getSiteMode()})` : '');
   }
 
-  function createSuggestionOverlay() {
-    suggestionOverlay = document.createElement('div');
-    suggestionOverlay.id = 'ai-context-suggestion-overlay';
+  // Colours for the overlay, as custom properties on the shadow host.
+  // 'auto' follows prefers-color-scheme; the default (dark) is the original frosted look.
+  const OVERLAY_THEME_VARS = {
+    dark: `
+      --ai-bg: rgba(20, 20, 28, 0.42);
+      --ai-border: rgba(255, 255, 255, 0.18);
+      --ai-inset: rgba(255, 255, 255, 0.12);
+      --ai-text: rgba(255, 255, 255, 0.97);
+      --ai-muted: rgba(255, 255, 255, 0.52);
+      --ai-faint: rgba(255, 255, 255, 0.38);
+      --ai-divider: rgba(255, 255, 255, 0.10);
+      --ai-chip-bg: rgba(255, 255, 255, 0.10);
+      --ai-chip-border: rgba(255, 255, 255, 0.14);
+      --ai-chip-text: rgba(255, 255, 255, 0.7);
+      --ai-highlight: rgba(255, 255, 255, 0.14);
+      --ai-dot: rgba(255, 255, 255, 0.7);
+      --ai-amber: rgba(255, 200, 80, 0.9);
+      --ai-blue: rgba(120, 180, 255, 0.9);
+    `,
+    light: `
+      --ai-bg: rgba(250, 250, 252, 0.82);
+      --ai-border: rgba(0, 0, 0, 0.10);
+      --ai-inset: rgba(255, 255, 255, 0.6);
+      --ai-text: rgba(20, 20, 28, 0.95);
+      --ai-muted: rgba(20, 20, 28, 0.58);
+      --ai-faint: rgba(20, 20, 28, 0.42);
+      --ai-divider: rgba(0, 0, 0, 0.08);
+      --ai-chip-bg: rgba(0, 0, 0, 0.05);
+      --ai-chip-border: rgba(0, 0, 0, 0.10);
+      --ai-chip-text: rgba(20, 20, 28, 0.7);
+      --ai-highlight: rgba(0, 0, 0, 0.07);
+      --ai-dot: rgba(20, 20, 28, 0.6);
+      --ai-amber: rgb(168, 104, 0);
+      --ai-blue: rgb(30, 100, 200);
+    `
+  };
+
+  const OVERLAY_CSS = `
+    :host { ${OVERLAY_THEME_VARS.dark} }
+    :host([data-theme="light"]) { ${OVERLAY_THEME_VARS.light} }
+    @media (prefers-color-scheme: light) {
+      :host([data-theme="auto"]) { ${OVERLAY_THEME_VARS.light} }
+    }
 
-    suggestionOverlay.style.cssText = `
+    @keyframes aiSlideIn {
+      from { opacity: 0; transform: translateY(-6px) scale(0.98); }
+      to   { opacity: 1; transform: translateY(0) scale(1); }
+    }
+    @keyframes aiPulse {
+      0%, 100% { opacity: 0.35; }
+      50% { opacity: 1; }
+    }
+
+    .overlay {
       position: fixed;
-      background: rgba(20, 20, 28, 0.42);
+      box-sizing: border-box;
+      background: var(--ai-bg);
       backdrop-filter: saturate(180%) blur(28px);
       -webkit-backdrop-filter: saturate(180%) blur(28px);
       border-radius: 16px;
       padding: 13px 16px;
       font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Text', 'Segoe UI', sans-serif;
       font-size: 13.5px;
-      color: rgba(255, 255, 255, 0.96);
+      line-height: normal;
+      text-align: left;
+      color: var(--ai-text);
       letter-spacing: -0.01em;
       pointer-events: none;
-      z-index: 999999;
       display: none;
       max-width: 600px;
       box-shadow:
-        0 1px 0 rgba(255,255,255,0.12) inset,
+        0 1px 0 var(--ai-inset) inset,
         0 16px 48px rgba(0,0,0,0.38),
         0 4px 16px rgba(0,0,0,0.18);
-      border: 1px solid rgba(255, 255, 255, 0.18);
+      border: 1px solid var(--ai-border);
       animation: aiSlideIn 0.18s cubic-bezier(0.34, 1.26, 0.64, 1);
-    `;
+    }
+    .overlay.list { pointer-events: auto; padding: 8px; }
+    strong { font-weight: 600; }
+
+    .top-row { display: flex; align-items: center; gap: 6px; margin-bottom: 7px; }
+    .suggestion-text { font-weight: 500; line-height: 1.4; margin-bottom: 3px; }
+    .hint { font-size: 10.5px; color: var(--ai-faint); }
+    .caption {
+      margin-top: 8px;
+      padding-top: 8px;
+      border-top: 1px solid var(--ai-divider);
+      font-size: 11px;
+      color: var(--ai-muted);
+      line-height: 1.45;
+    }
+
+    /* Badges — amber for form fill, blue for session, neutral chips otherwise */
+    .badge, .counter {
+      display: inline-flex;
+      align-items: center;
+      gap: 3px;
+      border-radius: 20px;
+      padding: 1px 7px;
+      font-size: 10px;
+      font-weight: 500;
+      letter-spacing: 0.03em;
+      white-space: nowrap;
+      background: var(--ai-chip-bg);
+      border: 1px solid var(--ai-chip-border);
+      color: var(--ai-chip-text);
+    }
+    .counter { border-color: transparent; }
+    .badge-fill {
+      background: rgba(255, 180, 50, 0.18);
+      border-color: rgba(255, 180, 50, 0.35);
+      color: var(--ai-amber);
+      font-weight: 600;
+    }
+    .badge-session {
+      background: rgba(74, 144, 226, 0.18);
+      border-color: rgba(74, 144, 226, 0.35);
+      color: var(--ai-blue);
+      font-weight: 600;
+    }
+
+    /* Dropdown list — highlighted row follows ↑↓ and the mouse */
+    .option { padding: 7px 9px; border-radius: 10px; cursor: pointer; }
+    .option.active { background: var(--ai-highlight); }
+    .option-row { display: flex; align-items: center; gap: 6px; }
+    .option-text { flex: 1; font-weight: 500; line-height: 1.4; }
+    .option-caption { margin-top: 3px; font-size: 11px; color: var(--ai-muted); line-height: 1.4; }
+    .option-hint { padding: 5px 9px 0; }
+    .overlay.list .caption { margin: 6px 9px 0; padding-top: 6px; }
+
+    .loading { display: flex; align-items: center; gap: 8px; font-size: 12px; color: var(--ai-muted); }
+    .dots { display: inline-flex; gap: 3px; align-items: center; }
+    .dot {
+      width: 4px;
+      height: 4px;
+      border-radius: 50%;
+      background: var(--ai-dot);
+      animation: aiPulse 1.2s ease-in-out infinite;
+    }
+    .dot:nth-child(2) { animation-delay: 0.2s; }
+    .dot:nth-child(3) { animation-delay: 0.4s; }
+    .notice { font-size: 12px; color: var(--ai-muted); }
+
+    .ghost { position: fixed; pointer-events: none; overflow: hidden; display: none; }
+
+    /* Whole-form fill review panel — interactive, unlike the card */
+    .fill-panel {
+      position: fixed;
+      top: 16px;
+      right: 16px;
+      box-sizing: border-box;
+      display: flex;
+      flex-direction: column;
+      width: 360px;
+      max-width: calc(100vw - 32px);
+      max-height: calc(100vh - 32px);
+      background: var(--ai-bg);
+      backdrop-filter: saturate(180%) blur(28px);
+      -webkit-backdrop-filter: saturate(180%) blur(28px);
+      border: 1px solid var(--ai-border);
+      border-radius: 16px;
+      padding: 13px 16px;
+      font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Text', 'Segoe UI', sans-serif;
+      font-size: 13px;
+      line-height: normal;
+      text-align: left;
+      color: var(--ai-text);
+      pointer-events: auto;
+      box-shadow:
+        0 1px 0 var(--ai-inset) inset,
+        0 16px 48px rgba(0,0,0,0.38),
+        0 4px 16px rgba(0,0,0,0.18);
+      animation: aiSlideIn 0.18s cubic-bezier(0.34, 1.26, 0.64, 1);
+    }
+    .fill-rows { list-style: none; margin: 0; padding: 0; overflow-y: auto; }
+    .fill-row {
+      display: flex;
+      align-items: flex-start;
+      gap: 8px;
+      padding: 7px 4px;
+      border-top: 1px solid var(--ai-divider);
+      cursor: pointer;
+    }
+    .fill-row input { margin: 2px 0 0; accent-color: var(--ai-blue); }
+    .fill-group {
+      padding: 8px 4px 3px;
+      font-size: 10.5px;
+      font-weight: 600;
+      letter-spacing: 0.03em;
+      text-transform: uppercase;
+      color: var(--ai-muted);
+    }
+    .fill-row-body { display: flex; flex-direction: column; gap: 2px; min-width: 0; }
+    .fill-label { font-size: 11px; color: var(--ai-muted); }
+    .fill-value { font-weight: 500; line-height: 1.4; overflow-wrap: anywhere; }
+    .fill-source { font-size: 10.5px; color: var(--ai-faint); }
+    .fill-actions { display: flex; gap: 8px; margin: 10px 0 6px; }
+    .fill-actions button {
+      flex: 1;
+      padding: 6px 10px;
+      border-radius: 10px;
+      border: 1px solid var(--ai-chip-border);
+      background: var(--ai-chip-bg);
+      color: var(--ai-text);
+      font: inherit;
+      font-weight: 500;
+      cursor: pointer;
+    }
+    .fill-actions .fill-apply { background: rgba(74, 144, 226, 0.85); border-color: transparent; color: #fff; }
+    .fill-actions button:disabled { opacity: 0.5; cursor: default; }
+
+    .sr-only {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      overflow: hidden;
+      clip: rect(0 0 0 0);
+      white-space: nowrap;
+    }
+  `;
+
+  /**
+   * Overlay, ghost text and live region all live in a closed shadow root:
+   * page CSS can't restyle them and their styles/keyframes can't leak out.
+   */
+  function createSuggestionOverlay() {
+    overlayHost = document.createElement('div');
+    overlayHost.id = 'ai-context-assistant-root';
+    // Reset anything the page sets on divs; the fixed host keeps us above page content
+    overlayHost.style.cssText = 'all: initial; position: fixed; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647;';
+    overlayHost.dataset.theme = overlayTheme;
+    overlayRoot = overlayHost.attachShadow({ mode: 'closed' });
 
     const style = document.createElement('style');
-    style.textContent = `
-      @keyframes aiSlideIn {
-        from { opacity: 0; transform: translateY(-6px) scale(0.98); }
-        to   { opacity: 1; transform: translateY(0) scale(1); }
-      }
-      @keyframes aiPulse {
-        0%, 100% { opacity: 0.35; }
-        50% { opacity: 1; }
-      }
-      #ai-context-suggestion-overlay strong { color: #fff; font-weight: 600; }
-
-      /* Form-fill badge — warm amber tint to distinguish from regular suggestions */
-      .ai-form-fill-badge {
-        background: rgba(255, 180, 50, 0.18);
-        border: 1px solid rgba(255, 180, 50, 0.35);
-        border-radius: 20px;
-        padding: 1px 8px;
-        font-size: 10px;
-        font-weight: 600;
-        color: rgba(255, 200, 80, 0.9);
-        letter-spacing: 0.04em;
-      }
+    style.textContent = OVERLAY_CSS;
 
-      /* Session badge — blue tint */
-      .ai-session-badge {
-        background: rgba(74, 144, 226, 0.18);
-        border: 1px solid rgba(74, 144, 226, 0.35);
-        border-radius: 20px;
-        padding: 1px 8px;
-        font-size: 10px;
-        font-weight: 600;
-        color: rgba(120, 180, 255, 0.9);
-        letter-spacing: 0.04em;
-      }
-    `;
-    document.head.appendChild(style);
-    document.body.appendChild(suggestionOverlay);
+    suggestionOverlay = document.createElement('div');
+    suggestionOverlay.className = 'overlay';
+
+    // Announces profile switches and form-fill results; the suggestion list
+    // itself is exposed through a light-DOM listbox (see setListMode)
+    liveRegion = document.createElement('div');
+    liveRegion.className = 'sr-only';
+    liveRegion.setAttribute('aria-live', 'polite');
+
+    overlayRoot.append(style, suggestionOverlay, liveRegion);
+    (document.body || document.documentElement).appendChild(overlayHost);
+
+    // Only reachable in list mode — the card keeps pointer-events off.
+    // mousedown is cancelled so the input keeps focus (and the overlay) until the click lands.
+    suggestionOverlay.addEventListener('mousedown', (e) => e.preventDefault());
+    suggestionOverlay.addEventListener('mousemove', (e) => {
+      const option = e.target.closest?.('.option');
+      if (!option || Number(option.dataset.index) === activeSuggestionIndex) return;
+      listNavigated = true;
+      activeSuggestionIndex = Number(option.dataset.index);
+      highlightOption();
+    });
+    suggestionOverlay.addEventListener('click', (e) => {
+      const option = e.target.closest?.('.option');
+      if (!option) return;
+      activeSuggestionIndex = Number(option.dataset.index);
+      acceptSuggestion();
+    });
+
+    // Follow the input through page scrolls, scrolling containers and resizes
+    let frame = null;
+    const reposition = () => {
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        repositionOverlay();
+      });
+    };
+    window.addEventListener('scroll', reposition, true);
+    window.addEventListener('resize', reposition);
   }
 
   function setupAddressBarDetection() {
@@ -477,32 +846,39 @@
       if (searchInput && !searchInput.dataset.aiAssistantAttached) {
         searchInput.dataset.aiAssistantAttached = 'true';
         attachInputListeners(searchInput);
-        searchInput.addEventListener('focus', () => { currentInput = searchInput; isAddressBar = true; });
+        searchInput.addEventListener('focus', () => {
+          if (!isInputAllowed(searchInput)) return;
+          currentInput = searchInput;
+          isAddressBar = true;
+        });
         break;
       }
     }
   }
 
+  function trackFocusedInput(target) {
+    currentInput = target;
+    lastInputValue = getInputValue(target);
+    isAddressBar = isGoogleSearchInput(target);
+
+    // Policy and site rules can change while the page is open
+    if (!isInputAllowed(target)) {
+      currentInput = null;
+      hideSuggestion();
+      return;
+    }
+    attachInputListeners(target);
+  }
+
   function setupInputTracking() {
     document.addEventListener('focusin', (e) => {
-      const target = e.target;
-      if (isInputElement(target)) {
-        currentInput = target;
-        lastInputValue = getInputValue(target);
-        isAddressBar = isGoogleSearchInput(target);
-
-        if (isSensitiveField(target)) {
-          currentInput = null;
-          hideSuggestion();
-          return;
-        }
-        attachInputListeners(target);
-      }
+      if (isInputElement(e.target)) trackFocusedInput(e.target);
     }, true);
 
     document.addEventListener('focusout', (e) => {
       if (currentInput === e.target) {
         setTimeout(() => {
+          cancelActiveRequest();
           hideSuggestion();
           currentInput = null;
           currentSuggestions = [];
@@ -565,8 +941,18 @@
       const value = getInputValue(input);
       if (value !== lastInputValue && value.trim().length >= 1) {
         lastInputValue = value;
+        if (triggerMode === 'manual') {
+          // Trigger-only: typing just clears suggestions for the old text
+          clearTimeout(debounceTimer);
+          cancelActiveRequest();
+          hideSuggestion();
+          currentSuggestions = [];
+          return;
+        }
         debouncedGenerateSuggestions(input, value);
       } else if (value.trim().length === 0) {
+        clearTimeout(debounceTimer);
+        cancelActiveRequest();
         hideSuggestion();
         currentSuggestions = [];
       }
@@ -574,10 +960,28 @@
 
     const keydownHandler = (e) => {
       if (currentInput !== input) return;
-      if (e.key === 'Tab' && currentSuggestions.length > 0) { e.preventDefault(); acceptSuggestion(); return; }
-      if (e.key === 'ArrowDown' && currentSuggestions.length > 1) { e.preventDefault(); activeSuggestionIndex = (activeSuggestionIndex + 1) % currentSuggestions.length; updateSuggestionDisplay(); }
-      if (e.key === 'ArrowUp' && currentSuggestions.length > 1) { e.preventDefault(); activeSuggestionIndex = (activeSuggestionIndex - 1 + currentSuggestions.length) % currentSuggestions.length; updateSuggestionDisplay(); }
-      if (e.key === 'Escape') { hideSuggestion(); currentSuggestions = []; }
+      if (isKey(e, 'trigger')) { e.preventDefault(); triggerSuggestions(input); return; }
+      if (isKey(e, 'switchProfile') && switchFormFillProfile(input)) { e.preventDefault(); return; }
+      if (ghostCompletion && isCaretAtEnd(input)) {
+        const plainArrow = e.key === 'ArrowRight' && !e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey;
+        if (isKey(e, 'accept') || plainArrow) { e.preventDefault(); acceptGhostText(false); return; }
+        if (isKey(e, 'acceptWord')) { e.preventDefault(); acceptGhostText(true); return; }
+      }
+      const listOpen = isListOpen();
+      // The list is worth navigating even with one entry; the card needs two to cycle
+      const canCycle = currentSuggestions.length > (listOpen ? 0 : 1);
+      if (isKey(e, 'accept') && currentSuggestions.length > 0) { e.preventDefault(); acceptSuggestion(); return; }
+      if (e.key === 'Enter' && listOpen && listNavigated) { e.preventDefault(); acceptSuggestion(); return; }
+      if ((isKey(e, 'next') || isKey(e, 'previous')) && canCycle) sendFeedback('cycled', activeSuggestionIndex, getInputValue(input));
+      if (isKey(e, 'next') && canCycle) { e.preventDefault(); listNavigated = true; activeSuggestionIndex = (activeSuggestionIndex + 1) % currentSuggestions.length; updateSuggestionDisplay(); return; }
+      if (isKey(e, 'previous') && canCycle) { e.preventDefault(); listNavigated = true; activeSuggestionIndex = (activeSuggestionIndex - 1 + currentSuggestions.length) % currentSuggestions.length; updateSuggestionDisplay(); return; }
+      if (isKey(e, 'dismiss')) {
+        if (currentSuggestions.length > 0) {
+          e.preventDefault();
+          sendFeedback('dismissed', activeSuggestionIndex, getInputValue(input));
+        }
+        clearTimeout(debounceTimer); cancelActiveRequest(); hideSuggestion(); currentSuggestions = [];
+      }
     };
 
     input.addEventListener('input', inputHandler);
@@ -585,8 +989,45 @@
     if (input.contentEditable === 'true') input.addEventListener('DOMCharacterDataModified', inputHandler);
   }
 
+  /**
+   * Generate for the field right away — the "suggest now" key, the global
+   * command, and the only way in trigger-only mode. Works on an empty field,
+   * which form fill can still answer.
+   */
+  function triggerSuggestions(input) {
+    if (!input || !extensionEnabled || !isInputAllowed(input)) return false;
+    const value = getInputValue(input);
+    clearTimeout(debounceTimer);
+    cancelActiveRequest();
+    lastInputValue = value;
+    showSuggestionLoading(input);
+    generateSuggestions(input, value);
+    return true;
+  }
+
+  /**
+   * Point this site at the next form-fill profile and re-suggest with it.
+   * Only on form fields, and only when there is more than one profile.
+   */
+  function switchFormFillProfile(input) {
+    const state = profilesModule?.getProfiles();
+    if (!state || state.profiles.length < 2 || !classifyField(input)) return false;
+
+    const current = profilesModule.resolveProfile(location.href, state);
+    const index = state.profiles.findIndex(profile => profile.id === current.id);
+    const next = state.profiles[(index + 1) % state.profiles.length];
+    profilesModule.saveProfiles(profilesModule.withSiteProfile(state, location.hostname, next.id))
+      .then(() => {
+        if (liveRegion) liveRegion.textContent = `${next.name} profile`;
+        triggerSuggestions(input);
+      })
+      .catch(error => console.error('Failed to switch profile:', error));
+    return true;
+  }
+
   function debouncedGenerateSuggestions(input, value) {
     clearTimeout(debounceTimer);
+    cancelActiveRequest();
     if (!extensionEnabled) {
       hideSuggestion();
       currentSuggestions = [];
@@ -597,6 +1038,67 @@
     debounceTimer = setTimeout(() => generateSuggestions(input, value), delay);
   }
 
+  // ── Service-worker port ────────────────────────────────────────────────────
+
+  function getSuggestionPort() {
+    if (suggestionPort) return suggestionPort;
+
+    suggestionPort = chrome.runtime.connect({ name: 'suggestions' });
+    suggestionPort.onMessage.addListener(handlePortMessage);
+    suggestionPort.onDisconnect.addListener(() => {
+      void chrome.runtime.lastError;
+      suggestionPort = null;
+      pendingRequests.forEach(pending => pending.resolve({ success: false, error: 'Disconnected', suggestions: [] }));
+      pendingRequests.clear();
+    });
+    return suggestionPort;
+  }
+
+  function handlePortMessage(message) {
+    const pending = pendingRequests.get(message?.requestId);
+    if (!pending) return;
+
+    if (message.type === 'suggestion') {
+      pending.onSuggestion?.(message.suggestion, message.index);
+    } else if (message.type === 'result') {
+      pendingRequests.delete(message.requestId);
+      if (activeRequestId === message.requestId) activeRequestId = null;
+      pending.resolve(message.response);
+    }
+  }
+
+  /**
+   * Send a generate request over the port. onSuggestion fires for each
+   * streamed suggestion; the promise resolves with the final response.
+   */
+  function requestSuggestions(data, onSuggestion) {
+    return new Promise(resolve => {
+      const requestId = ++requestCounter;
+      activeRequestId = requestId;
+      pendingRequests.set(requestId, { onSuggestion, resolve });
+      getSuggestionPort().postMessage({ action: 'generateSuggestions', requestId, data });
+    });
+  }
+
+  /**
+   * Abort the in-flight request (if any) in the service worker so an abandoned
+   * prefix doesn't spend quota or land in the session thread.
+   */
+  function cancelActiveRequest() {
+    if (!activeRequestId) return;
+    const requestId = activeRequestId;
+    activeRequestId = null;
+
+    const pending = pendingRequests.get(requestId);
+    if (pending) {
+      pendingRequests.delete(requestId);
+      pending.resolve({ success: false, cancelled: true, suggestions: [] });
+    }
+    try {
+      suggestionPort?.postMessage({ action: 'cancelSuggestions', requestId });
+    } catch (error) { /* port already gone — nothing to cancel */ }
+  }
+
   async function generateSuggestions(input, value) {
     try {
       if (!extensionEnabled) {
@@ -618,29 +1120,54 @@
             .slice(0, 5).map(h => h.textContent.trim()).filter(Boolean)
         },
         is_address_bar: isAddressBar,
-        is_ai_chat: window.location.href.includes('claude.ai') || window.location.href.includes('chat.openai.com')
+        is_ai_chat: Boolean(getAiChatSite())
       };
 
-      const response = await chrome.runtime.sendMessage({
-        action: 'generateSuggestions',
-        data: {
-          context: pageContext,
-          fieldName: input.name || input.id || input.placeholder || '',
-          // ── New: send form metadata to service worker ──────────────────
-          fieldMeta
+      // Recent conversation turns — the service worker budgets and redacts them
+      if (pageContext.is_ai_chat) {
+        pageContext.current_page.chatHistory = getChatTranscript();
+      }
+
+      // Streamed suggestions are shown as soon as each one completes
+      const onSuggestion = (suggestion, index) => {
+        if (currentInput !== input || getInputValue(input) !== value) return;
+        if (index === 0) {
+          currentSuggestions = [suggestion];
+          activeSuggestionIndex = 0;
+        } else {
+          currentSuggestions = [...currentSuggestions.slice(0, index), suggestion];
         }
-      });
+        showSuggestion(input, currentSuggestions[activeSuggestionIndex], '', Boolean(fieldMeta?.fieldType));
+      };
+
+      const response = await requestSuggestions({
+        context: pageContext,
+        fieldName: input.name || input.id || input.placeholder || '',
+        // ── New: send form metadata to service worker ──────────────────
+        fieldMeta
+      }, onSuggestion);
+
+      // Superseded by a newer keystroke — the newer request owns the overlay
+      if (response?.cancelled) return;
 
       // Stale check
       const currentValue = getInputValue(input);
       if (currentValue !== value) { console.log('Stale result discarded'); return; }
 
+      if (response?.rateLimited) {
+        currentSuggestions = [];
+        showRateLimitNotice(input, response.retryAfterMs);
+        return;
+      }
+
       if (response && response.success) {
         const suggestions = response.suggestions || [];
         if (suggestions.length > 0) {
           currentSuggestions = suggestions;
-          activeSuggestionIndex = 0;
-          showSuggestion(input, currentSuggestions[0], response.reason, response.isFormFill);
+          // Streamed suggestions arrive in final ranked order, so the user's
+          // position stays valid if they already cycled through them
+          if (activeSuggestionIndex >= suggestions.length) activeSuggestionIndex = 0;
+          showSuggestion(input, currentSuggestions[activeSuggestionIndex], response.reason, response.isFormFill);
         } else {
           hideSuggestion();
           currentSuggestions = [];
@@ -662,113 +1189,588 @@
     const suggestionText = typeof suggestion === 'string' ? suggestion : suggestion.text;
     if (!suggestionText) return;
 
-    setInputValue(currentInput, suggestionText);
-    currentInput.dispatchEvent(new Event('input', { bubbles: true }));
-    currentInput.dispatchEvent(new Event('change', { bubbles: true }));
-    if (currentInput.contentEditable === 'true') currentInput.dispatchEvent(new Event('textInput', { bubbles: true }));
-
-    lastInputValue = suggestionText;
+    sendFeedback('accepted', activeSuggestionIndex, getInputValue(currentInput));
+    writeInputValue(currentInput, suggestionText);
     hideSuggestion();
     currentSuggestions = [];
+  }
 
-    if (currentInput.setSelectionRange) {
-      currentInput.setSelectionRange(suggestionText.length, suggestionText.length);
-    } else if (currentInput.contentEditable === 'true') {
+  /**
+   * Replace the input's value the way typing would, and leave the caret at the end.
+   * lastInputValue is set first so our own input event doesn't start a new request.
+   */
+  function writeInputValue(input, text) {
+    lastInputValue = text;
+    setInputValue(input, text);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    if (input.contentEditable === 'true') input.dispatchEvent(new Event('textInput', { bubbles: true }));
+
+    if (input.setSelectionRange) {
+      input.setSelectionRange(text.length, text.length);
+    } else if (input.contentEditable === 'true') {
       const range = document.createRange();
       const selection = window.getSelection();
-      range.selectNodeContents(currentInput);
+      range.selectNodeContents(input);
       range.collapse(false);
       selection.removeAllRanges();
       selection.addRange(range);
     }
   }
 
+  /**
+   * Tell the service worker what happened to a suggestion, for ranking and
+   * few-shot personalization. Fire-and-forget.
+   */
+  function sendFeedback(type, index, query) {
+    const suggestion = currentSuggestions[index];
+    const text = typeof suggestion === 'string' ? suggestion : suggestion?.text;
+    if (!text) return;
+    try {
+      chrome.runtime.sendMessage({
+        action: 'recordFeedback',
+        data: {
+          type,
+          query,
+          suggestion: text,
+          derivation: typeof suggestion === 'object' ? suggestion.derivation : '',
+          pageType: detectPageType(),
+          position: index,
+          surface: 'overlay'
+        }
+      }).catch(() => {});
+    } catch (error) { /* extension reloaded — nowhere to send it */ }
+  }
+
+  // ── Ghost text ─────────────────────────────────────────────────────────────
+
+  function createGhostText() {
+    ghostElement = document.createElement('div');
+    ghostElement.className = 'ghost';
+    ghostElement.setAttribute('aria-hidden', 'true');
+    overlayRoot.appendChild(ghostElement);
+  }
+
+  /**
+   * The part of a suggestion still to be typed — only when it continues what
+   * is already in the input and the caret sits at the end.
+   */
+  function getGhostCompletion(input, suggestionData) {
+    const text = typeof suggestionData === 'string' ? suggestionData : suggestionData?.text;
+    const value = getInputValue(input);
+    if (!text || !value || text.length <= value.length) return '';
+    if (!text.toLowerCase().startsWith(value.toLowerCase())) return '';
+    if (!isCaretAtEnd(input)) return '';
+    return text.slice(value.length);
+  }
+
+  function isCaretAtEnd(input) {
+    if (input.contentEditable !== 'true') {
+      const length = (input.value || '').length;
+      return input.selectionStart === length && input.selectionEnd === length;
+    }
+    const selection = window.getSelection();
+    if (!selection?.rangeCount || !selection.isCollapsed || !input.contains(selection.focusNode)) return false;
+    const rest = document.createRange();
+    rest.selectNodeContents(input);
+    rest.setStart(selection.focusNode, selection.focusOffset);
+    return rest.toString().length === 0;
+  }
+
+  function showGhostText(input, completion) {
+    if (!ghostElement) return;
+    ghostCompletion = completion;
+    renderGhostText(input);
+  }
+
+  function renderGhostText(input) {
+    if (input.contentEditable === 'true') renderGhostAtCaret(input);
+    else renderGhostMirror(input);
+  }
+
+  /**
+   * Inputs and textareas: a transparent copy of the field (same box, font and
+   * wrapping) whose typed text is invisible, so the grey completion lands
+   * exactly after the caret.
+   */
+  function renderGhostMirror(input) {
+    const style = getComputedStyle(input);
+    const rect = input.getBoundingClientRect();
+    const isTextarea = input.tagName.toLowerCase() === 'textarea';
+
+    ghostElement.removeAttribute('style');
+    const copied = [
+      'boxSizing', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+      'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+      'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'fontVariant', 'fontStretch',
+      'letterSpacing', 'wordSpacing', 'lineHeight', 'textIndent', 'textTransform', 'textAlign',
+      'tabSize', 'direction'
+    ];
+    copied.forEach(property => { ghostElement.style[property] = style[property]; });
+
+    Object.assign(ghostElement.style, {
+      display: isTextarea ? 'block' : 'flex',
+      alignItems: 'center',
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+      borderStyle: 'solid',
+      borderColor: 'transparent',
+      whiteSpace: isTextarea ? 'pre-wrap' : 'pre',
+      overflowWrap: isTextarea ? 'break-word' : 'normal'
+    });
+
+    ghostElement.innerHTML = `<span style="color:transparent;">${escapeHtml(input.value)}</span><span style="color:${style.color};opacity:0.45;">${escapeHtml(ghostCompletion)}</span>`;
+    ghostElement.scrollTop = input.scrollTop;
+    ghostElement.scrollLeft = input.scrollLeft;
+  }
+
+  /**
+   * contentEditable editors (ProseMirror etc.): place the completion at the
+   * caret's rectangle, using the font of the element the caret is in.
+   */
+  function renderGhostAtCaret(input) {
+    const selection = window.getSelection();
+    if (!selection?.rangeCount) { hideGhostText(); return; }
+
+    const caret = selection.getRangeAt(0).cloneRange();
+    caret.collapse(false);
+    const inputRect = input.getBoundingClientRect();
+    let caretRect = caret.getBoundingClientRect();
+    // An empty line has no glyph to measure; fall back to the editor's content box
+    if (!caretRect.height) caretRect = caret.getClientRects()[0] || inputRect;
+
+    const node = selection.focusNode?.nodeType === Node.TEXT_NODE ? selection.focusNode.parentElement : selection.focusNode;
+    const style = getComputedStyle(node || input);
+
+    ghostElement.removeAttribute('style');
+    Object.assign(ghostElement.style, {
+      display: 'block',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'pre',
+      left: `${caretRect.right}px`,
+      top: `${caretRect.top}px`,
+      height: `${caretRect.height}px`,
+      maxWidth: `${Math.max(inputRect.right - caretRect.right, 0)}px`,
+      fontFamily: style.fontFamily,
+      fontSize: style.fontSize,
+      fontWeight: style.fontWeight,
+      fontStyle: style.fontStyle,
+      letterSpacing: style.letterSpacing,
+      lineHeight: `${caretRect.height}px`,
+      color: style.color,
+      opacity: '0.45'
+    });
+    ghostElement.textContent = ghostCompletion;
+  }
+
+  function hideGhostText() {
+    ghostCompletion = '';
+    if (ghostElement) {
+      ghostElement.style.display = 'none';
+      ghostElement.textContent = '';
+    }
+  }
+
+  /**
+   * Take the whole completion (Tab / →) or just its next word (Ctrl+→). The
+   * typed text keeps its own casing; only the ghost part is appended.
+   */
+  function acceptGhostText(nextWordOnly) {
+    if (!currentInput || !ghostCompletion) return;
+    const accepted = nextWordOnly ? ghostCompletion.match(/^\s*\S+/)?.[0] || ghostCompletion : ghostCompletion;
+    const remaining = ghostCompletion.slice(accepted.length);
+    const typed = getInputValue(currentInput);
+
+    writeInputValue(currentInput, typed + accepted);
+    // Word-by-word acceptance counts once, when the last word goes in
+    if (!remaining.trim()) sendFeedback('accepted', activeSuggestionIndex, ghostQuery || typed);
+
+    if (remaining.trim()) {
+      showGhostText(currentInput, remaining);
+    } else {
+      hideSuggestion();
+      currentSuggestions = [];
+    }
+  }
+
   // ── Display ────────────────────────────────────────────────────────────────
 
   function showSuggestion(input, suggestionData, reason = '', isFormFill = false) {
+    suggestionDisplay = { reason, isFormFill };
+    if (overlayStyle === 'ghost') {
+      // Suggestions that rewrite rather than continue the text fall back to the card
+      const completion = getGhostCompletion(input, suggestionData);
+      if (completion) {
+        ghostQuery = getInputValue(input);
+        if (suggestionOverlay) {
+          setListMode(null, false);
+          suggestionOverlay.style.display = 'none';
+        }
+        showGhostText(input, completion);
+        return;
+      }
+      hideGhostText();
+    }
+    if (overlayStyle === 'list') {
+      showSuggestionList(input);
+      return;
+    }
+
     const text = typeof suggestionData === 'string' ? suggestionData : suggestionData.text;
     const derivation = typeof suggestionData === 'object' ? suggestionData.derivation : null;
 
     if (!suggestionOverlay) return;
-
-    const rect = input.getBoundingClientRect();
-    let top = rect.bottom + window.scrollY + 10;
-    const left = rect.left + window.scrollX;
-    if (isAddressBar) top = rect.bottom + window.scrollY + 14;
-
-    suggestionOverlay.style.display = 'block';
-    suggestionOverlay.style.left = `${left}px`;
-    suggestionOverlay.style.top = `${top}px`;
-    suggestionOverlay.style.width = `${Math.max(rect.width, 320)}px`;
+    setListMode(input, false);
 
     // Counter pill
     const counter = currentSuggestions.length > 1
-      ? `<span style="display:inline-flex;align-items:center;gap:3px;background:rgba(255,255,255,0.12);border-radius:20px;padding:1px 7px;font-size:10px;font-weight:500;letter-spacing:0.02em;">↑↓ ${activeSuggestionIndex + 1}/${currentSuggestions.length}</span>`
+      ? `<span class="counter">↑↓ ${activeSuggestionIndex + 1}/${currentSuggestions.length}</span>`
       : '';
 
-    // ── Badge: form-fill (amber) vs session-aware (blue) vs default ──────────
-    let badge = '';
-    if (isFormFill) {
-      badge = `<span class="ai-form-fill-badge">⚡ Smart Fill</span>`;
-    } else {
-      // Check if derivation references session thread
-      const isSessionBased = derivation?.toLowerCase().includes('session') ||
-                             derivation?.toLowerCase().includes('thread') ||
-                             derivation?.toLowerCase().startsWith('session:');
-      if (isSessionBased) {
-        badge = `<span class="ai-session-badge">🧠 Session</span>`;
-      } else if (isAddressBar) {
-        badge = `<span style="background:rgba(255,255,255,0.10);border:1px solid rgba(255,255,255,0.14);border-radius:20px;padding:1px 7px;font-size:10px;font-weight:500;letter-spacing:0.03em;color:rgba(255,255,255,0.7);">🔍 Search</span>`;
-      } else if (window.location.href.includes('claude.ai') || window.location.href.includes('chat.openai.com')) {
-        badge = `<span style="background:rgba(255,255,255,0.10);border:1px solid rgba(255,255,255,0.14);border-radius:20px;padding:1px 7px;font-size:10px;font-weight:500;letter-spacing:0.03em;color:rgba(255,255,255,0.7);">🤖 AI Chat</span>`;
-      }
-    }
+    const badge = getSuggestionBadge(derivation, isFormFill);
 
     const topRow = (badge || counter)
-      ? `<div style="display:flex;align-items:center;gap:6px;margin-bottom:7px;">${badge}${counter}</div>`
+      ? `<div class="top-row">${badge}${counter}</div>`
       : '';
 
     const caption = (derivation || reason)
-      ? `<div style="margin-top:8px;padding-top:8px;border-top:1px solid rgba(255,255,255,0.10);font-size:11px;color:rgba(255,255,255,0.52);line-height:1.45;font-weight:400;">${escapeHtml(derivation || reason)}</div>`
+      ? `<div class="caption">${escapeHtml(derivation || reason)}</div>`
       : '';
 
     suggestionOverlay.innerHTML = `
       ${topRow}
-      <div style="font-weight:500;font-size:13.5px;line-height:1.4;color:rgba(255,255,255,0.97);margin-bottom:3px;">${escapeHtml(text)}</div>
-      <div style="font-size:10.5px;color:rgba(255,255,255,0.38);font-weight:400;">Tab to accept${currentSuggestions.length > 1 ? ' · ↑↓ to cycle' : ''}</div>
+      <div class="suggestion-text">${escapeHtml(text)}</div>
+      <div class="hint">${buildKeyHint([
+        ['accept', 'to accept'],
+        currentSuggestions.length > 1 && ['previous', 'next', 'to cycle'],
+        isFormFill && getProfileHint()
+      ])}</div>
       ${caption}
     `;
+    positionOverlay(input, true);
   }
 
-  function showSuggestionLoading(input) {
+  /**
+   * Every suggestion at once. The input keeps focus and becomes a combobox for
+   * a mirrored listbox, with aria-activedescendant following the highlight.
+   */
+  function showSuggestionList(input) {
+    if (!suggestionOverlay) return;
+    const { reason, isFormFill } = suggestionDisplay;
+
+    const options = currentSuggestions.map((suggestionData, index) => {
+      const text = typeof suggestionData === 'string' ? suggestionData : suggestionData.text;
+      const derivation = typeof suggestionData === 'object' ? suggestionData.derivation : null;
+      const badge = getSuggestionBadge(derivation, isFormFill);
+      const caption = derivation
+        ? `<div class="option-caption">${escapeHtml(derivation)}</div>`
+        : '';
+      return `
+        <div class="option" data-index="${index}">
+          <div class="option-row">
+            <span class="option-text">${escapeHtml(text)}</span>
+            ${badge}
+          </div>
+          ${caption}
+        </div>
+      `;
+    }).join('');
+
+    const footer = reason
+      ? `<div class="caption">${escapeHtml(reason)}</div>`
+      : '';
+
+    suggestionOverlay.innerHTML = `
+      ${options}
+      <div class="hint option-hint" aria-hidden="true">${buildKeyHint([
+        ['previous', 'next', 'to highlight'],
+        ['accept', 'or Enter to accept'],
+        ['dismiss', 'to dismiss'],
+        isFormFill && getProfileHint()
+      ])}</div>
+      ${footer}
+    `;
+    setListMode(input, true);
+    positionOverlay(input, true);
+    highlightOption();
+  }
+
+  /**
+   * Mark the active row without re-rendering the list.
+   */
+  function highlightOption() {
     if (!suggestionOverlay) return;
+    suggestionOverlay.querySelectorAll('.option').forEach(option => {
+      option.classList.toggle('active', Number(option.dataset.index) === activeSuggestionIndex);
+    });
+    const active = suggestionOverlay.querySelector(`.option[data-index="${activeSuggestionIndex}"]`);
+    active?.scrollIntoView?.({ block: 'nearest' });
+
+    listboxMirror?.querySelectorAll('[role="option"]').forEach((option, index) => {
+      option.setAttribute('aria-selected', String(index === activeSuggestionIndex));
+    });
+    if (ariaBackup && listboxMirror?.isConnected) {
+      ariaBackup.input.setAttribute('aria-activedescendant', getOptionId(activeSuggestionIndex));
+    }
+  }
+
+  /**
+   * "Tab to accept · ↑↓ to cycle" from the current bindings. Each part lists
+   * actions then a label; parts whose actions are all unbound are dropped.
+   */
+  function buildKeyHint(parts) {
+    const symbols = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+    const formatKey = (action) => (keyBindings?.[action] || '')
+      .split('+')
+      .map(key => symbols[key] || key)
+      .join('+');
+
+    return parts
+      .filter(Boolean)
+      .map(part => {
+        const keys = part.slice(0, -1).map(formatKey).filter(Boolean);
+        return keys.length ? `${escapeHtml(keys.join(keys.every(key => key.length === 1) ? '' : ' / '))} ${part[part.length - 1]}` : '';
+      })
+      .filter(Boolean)
+      .join(' · ');
+  }
+
+  /**
+   * Hint part naming the site's form-fill profile, when there is one to switch to.
+   */
+  function getProfileHint() {
+    const state = profilesModule?.getProfiles();
+    if (!state || state.profiles.length < 2 || !currentInput || !classifyField(currentInput)) return false;
+    const profile = profilesModule.resolveProfile(location.href, state);
+    return ['switchProfile', `${escapeHtml(profile.name)} profile`];
+  }
+
+  function isListOpen() {
+    return Boolean(suggestionOverlay) && suggestionOverlay.style.display !== 'none' &&
+      suggestionOverlay.classList.contains('list');
+  }
+
+  function getOptionId(index) {
+    return `ai-context-assistant-option-${index}`;
+  }
+
+  /**
+   * Switch the overlay between the passive card and the interactive list.
+   * ID references can't reach into the closed shadow root, so in list mode the
+   * visual list is hidden from assistive tech and a visually hidden listbox in
+   * the page's DOM carries the options. The input's own combobox attributes
+   * (many search boxes have them) are saved and put back when the list closes.
+   */
+  function setListMode(input, enabled) {
+    if (!suggestionOverlay) return;
+
+    if (ariaBackup && (!enabled || ariaBackup.input !== input)) {
+      for (const [name, value] of Object.entries(ariaBackup.attributes)) {
+        if (value === null) ariaBackup.input.removeAttribute(name);
+        else ariaBackup.input.setAttribute(name, value);
+      }
+      ariaBackup = null;
+    }
+
+    suggestionOverlay.classList.toggle('list', enabled);
+    if (!enabled) {
+      suggestionOverlay.removeAttribute('aria-hidden');
+      listboxMirror?.remove();
+      return;
+    }
+
+    suggestionOverlay.setAttribute('aria-hidden', 'true');
+    renderListboxMirror();
+
+    if (!ariaBackup && input) {
+      const names = ['role', 'aria-expanded', 'aria-autocomplete', 'aria-controls', 'aria-activedescendant'];
+      ariaBackup = {
+        input,
+        attributes: Object.fromEntries(names.map(name => [name, input.getAttribute(name)]))
+      };
+      // Textareas and editors stay textboxes, which take aria-activedescendant as they are
+      if (input.tagName === 'INPUT') input.setAttribute('role', 'combobox');
+      input.setAttribute('aria-expanded', 'true');
+      input.setAttribute('aria-autocomplete', 'list');
+      input.setAttribute('aria-controls', listboxMirror.id);
+    }
+  }
+
+  /**
+   * (Re)build the light-DOM listbox from currentSuggestions. It is clipped to
+   * nothing on screen; clicking an option (screen-reader browse mode) accepts it.
+   */
+  function renderListboxMirror() {
+    if (!listboxMirror) {
+      listboxMirror = document.createElement('div');
+      listboxMirror.id = 'ai-context-assistant-listbox';
+      listboxMirror.setAttribute('role', 'listbox');
+      listboxMirror.setAttribute('aria-label', 'AI suggestions');
+      listboxMirror.style.cssText = `
+        position: fixed !important; width: 1px !important; height: 1px !important;
+        margin: -1px !important; padding: 0 !important; border: 0 !important;
+        overflow: hidden !important; clip-path: inset(50%) !important; white-space: nowrap !important;
+      `;
+      listboxMirror.addEventListener('mousedown', (e) => e.preventDefault());
+      listboxMirror.addEventListener('click', (e) => {
+        const option = e.target.closest?.('[role="option"]');
+        if (!option) return;
+        activeSuggestionIndex = Number(option.dataset.index);
+        acceptSuggestion();
+      });
+    }
+
+    listboxMirror.replaceChildren(...currentSuggestions.map((suggestionData, index) => {
+      const option = document.createElement('div');
+      option.id = getOptionId(index);
+      option.dataset.index = String(index);
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.textContent = typeof suggestionData === 'string' ? suggestionData : suggestionData.text;
+      return option;
+    }));
+    if (!listboxMirror.isConnected) (document.body || document.documentElement).appendChild(listboxMirror);
+  }
+
+  /**
+   * Badge for a suggestion: form-fill (amber) vs session-aware (blue) vs search / AI chat.
+   */
+  function getSuggestionBadge(derivation, isFormFill) {
+    if (isFormFill) return `<span class="badge badge-fill">⚡ Smart Fill</span>`;
+
+    // Check if derivation references session thread
+    const isSessionBased = derivation?.toLowerCase().includes('session') ||
+                           derivation?.toLowerCase().includes('thread') ||
+                           derivation?.toLowerCase().startsWith('session:');
+    if (isSessionBased) return `<span class="badge badge-session">🧠 Session</span>`;
+    if (isAddressBar) return `<span class="badge">🔍 Search</span>`;
+    if (getAiChatSite()) return `<span class="badge">🤖 AI Chat</span>`;
+    return '';
+  }
+
+  /**
+   * Show the overlay next to the input. Everything is in viewport coordinates
+   * (the overlay is position: fixed), so page scroll, scrolling containers and
+   * sticky/fixed headers need no offsets. It opens upwards when there's no
+   * room below — e.g. at the bottom of a small iframe — and stays inside the
+   * viewport horizontally.
+   */
+  function positionOverlay(input, matchWidth = false) {
+    const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+    const viewportHeight = document.documentElement.clientHeight || window.innerHeight;
+    const margin = 8;
+    const gap = isAddressBar ? 14 : 10;
     const rect = input.getBoundingClientRect();
-    let top = rect.bottom + window.scrollY + 10;
-    const left = rect.left + window.scrollX;
-    if (isAddressBar) top = rect.bottom + window.scrollY + 14;
 
     suggestionOverlay.style.display = 'block';
+    suggestionOverlay.style.visibility = isInputVisible(input) ? '' : 'hidden';
+    suggestionOverlay.style.width = matchWidth
+      ? `${Math.min(Math.max(rect.width, 320), viewportWidth - margin * 2)}px`
+      : '';
+
+    const { offsetWidth, offsetHeight } = suggestionOverlay;
+    let top = rect.bottom + gap;
+    if (top + offsetHeight > viewportHeight - margin && rect.top - gap - offsetHeight >= margin) {
+      top = rect.top - gap - offsetHeight;
+    }
+    const left = Math.max(margin, Math.min(rect.left, viewportWidth - offsetWidth - margin));
+
     suggestionOverlay.style.left = `${left}px`;
     suggestionOverlay.style.top = `${top}px`;
+  }
+
+  /**
+   * Re-place whatever is showing after a scroll or resize.
+   */
+  function repositionOverlay() {
+    if (!currentInput) return;
+    if (suggestionOverlay?.style.display === 'block') {
+      positionOverlay(currentInput, Boolean(suggestionOverlay.style.width));
+    }
+    if (ghostCompletion) {
+      renderGhostText(currentInput);
+      ghostElement.style.visibility = isInputVisible(currentInput) ? '' : 'hidden';
+    }
+  }
+
+  /**
+   * False when the input has scrolled out of the viewport, out of a scrolling
+   * ancestor, or sits underneath a fixed header — the overlay would otherwise
+   * float over unrelated content.
+   */
+  function isInputVisible(input) {
+    const rect = input.getBoundingClientRect();
+    const viewportHeight = document.documentElement.clientHeight || window.innerHeight;
+    const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+    if (rect.bottom <= 0 || rect.top >= viewportHeight || rect.right <= 0 || rect.left >= viewportWidth) return false;
+
+    for (let parent = input.parentElement; parent && parent !== document.body; parent = parent.parentElement) {
+      if (getComputedStyle(parent).overflow === 'visible') continue;
+      const clip = parent.getBoundingClientRect();
+      if (rect.bottom <= clip.top || rect.top >= clip.bottom || rect.right <= clip.left || rect.left >= clip.right) return false;
+    }
+
+    // Only fixed/sticky layers count as covering — floating labels and
+    // placeholders drawn over the field are fine
+    const x = Math.min(Math.max(rect.left + rect.width / 2, 0), viewportWidth - 1);
+    const y = Math.min(Math.max(rect.top + Math.min(rect.height / 2, 12), 0), viewportHeight - 1);
+    for (let layer = document.elementFromPoint(x, y); layer && layer !== document.body; layer = layer.parentElement) {
+      if (layer === input || layer.contains(input)) return true;
+      if (['fixed', 'sticky'].includes(getComputedStyle(layer).position)) return false;
+    }
+    return true;
+  }
+
+  function showSuggestionLoading(input) {
+    if (!suggestionOverlay) return;
+    listNavigated = false;
+    hideGhostText();
+    // Ghost text stays unobtrusive — no "Thinking…" card while it waits
+    if (overlayStyle === 'ghost') {
+      hideSuggestion();
+      return;
+    }
+    setListMode(input, false);
     suggestionOverlay.innerHTML = `
-      <div style="display:flex;align-items:center;gap:8px;font-size:12px;color:rgba(255,255,255,0.55);font-weight:400;">
-        <span style="display:inline-flex;gap:3px;align-items:center;">
-          <span style="width:4px;height:4px;border-radius:50%;background:rgba(255,255,255,0.7);display:inline-block;animation:aiPulse 1.2s ease-in-out 0s infinite;"></span>
-          <span style="width:4px;height:4px;border-radius:50%;background:rgba(255,255,255,0.7);display:inline-block;animation:aiPulse 1.2s ease-in-out 0.2s infinite;"></span>
-          <span style="width:4px;height:4px;border-radius:50%;background:rgba(255,255,255,0.7);display:inline-block;animation:aiPulse 1.2s ease-in-out 0.4s infinite;"></span>
-        </span>
+      <div class="loading">
+        <span class="dots"><span class="dot"></span><span class="dot"></span><span class="dot"></span></span>
         Thinking…
       </div>
     `;
+    positionOverlay(input);
+  }
+
+  function showRateLimitNotice(input, retryAfterMs = 0) {
+    if (!suggestionOverlay) return;
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    const wait = seconds >= 3600 ? `${Math.ceil(seconds / 3600)}h`
+      : seconds >= 60 ? `${Math.ceil(seconds / 60)}m`
+      : `${seconds}s`;
+
+    setListMode(input, false);
+    suggestionOverlay.innerHTML = `
+      <div class="top-row"><span class="badge badge-fill">⏳ Rate limited locally</span></div>
+      <div class="notice">Suggestion budget used up${seconds > 0 ? ` · try again in ${escapeHtml(wait)}` : ''}. Adjust limits in settings.</div>
+    `;
+    positionOverlay(input);
   }
 
   function updateSuggestionDisplay() {
     if (currentSuggestions.length === 0 || !currentInput) return;
-    showSuggestion(currentInput, currentSuggestions[activeSuggestionIndex]);
+    if (isListOpen()) {
+      highlightOption();
+      return;
+    }
+    showSuggestion(currentInput, currentSuggestions[activeSuggestionIndex], suggestionDisplay.reason, suggestionDisplay.isFormFill);
   }
 
   function hideSuggestion() {
-    if (suggestionOverlay) suggestionOverlay.style.display = 'none';
+    hideGhostText();
+    if (!suggestionOverlay) return;
+    setListMode(null, false);
+    suggestionOverlay.style.display = 'none';
   }
 
   function escapeHtml(text) {
@@ -779,7 +1781,7 @@
 
   function detectPageType() {
     const url = window.location.href.toLowerCase();
-    if (url.includes('chat.openai.com') || url.includes('claude.ai') || url.includes('gemini.google.com') || url.includes('copilot.microsoft.com')) return 'ai_chat';
+    if (getAiChatSite()) return 'ai_chat';
     if (url.includes('github.com') || url.includes('stackoverflow.com')) return 'coding';
     if (url.includes('google.com/search') || url.includes('bing.com/search')) return 'search';
     if (url.includes('docs.') || document.title.toLowerCase().includes('documentation')) return 'documentation';
@@ -797,16 +1799,393 @@
     return false;
   }
 
-  function isSensitiveField(element) {
+  function isSensitiveField(element, options) {
     if (!element) return false;
-    const type = element.type?.toLowerCase();
-    if (type === 'password' || type === 'tel' || type === 'number' || type === 'email') return true;
-    const combinedText = `${element.name} ${element.id} ${element.autocomplete} ${element.placeholder}`.toLowerCase();
-    return ['password', 'passwd', 'credit', 'card', 'cvv', 'ssn', 'bank', 'pin', 'token', 'auth', 'login', 'otp', 'verification'].some(k => combinedText.includes(k));
+    if (!sensitivityPolicy) return true;
+    return sensitivityPolicy.isSensitiveField({
+      name: element.name,
+      id: element.id,
+      placeholder: element.placeholder || element.getAttribute('placeholder'),
+      autocomplete: element.getAttribute('autocomplete'),
+      ariaLabel: element.getAttribute('aria-label'),
+      type: element.type
+    }, undefined, options);
+  }
+
+  // ── Whole-form fill ────────────────────────────────────────────────────────
+  // "Fill this form" (popup button or the global command) walks the form,
+  // proposes a value per recognised field from the profile, the device and
+  // the open tabs — never the provider — and writes only what the user keeps
+  // ticked in the review panel.
+
+  // Text-like input types the walk fills; radios, checkboxes and selects have their own kinds
+  const FILLABLE_INPUT_TYPES = ['', 'text', 'search', 'url', 'number', 'tel'];
+  // ZIP codes and years of experience are often number or tel inputs. The
+  // walk vets those itself — only field types whose values are digits go in,
+  // so a phone number never classifies into one — and the keyword check still runs.
+  const DIGIT_INPUT_TYPES = ['number', 'tel'];
+  const DIGIT_FIELD_TYPES = ['zip', 'experience_years', 'version'];
+  const FILL_SENSITIVITY = { allowTypes: DIGIT_INPUT_TYPES };
+
+  let fillPanel = null;
+  // { rows: [{ field, proposal }], returnFocus } while the review panel is open
+  let pendingFill = null;
+
+  async function fillForm() {
+    const form = findFillForm();
+    if (!form || !extensionEnabled || !isSiteActive() || !overlayRoot) {
+      return { success: false, error: 'No form to fill on this page' };
+    }
+
+    const fields = collectFillFields(form);
+    if (fields.length === 0) return { success: false, error: 'No fields here that a profile can fill' };
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'getFormFillCandidates',
+      data: {
+        fields: fields.map(field => ({ ...buildFieldMeta(field.element, FILL_SENSITIVITY), fieldLabel: field.label })),
+        pageUrl: window.location.href,
+        pageTitle: document.title
+      }
+    });
+    if (!response?.success) return { success: false, error: response?.error || 'No candidates' };
+
+    const rows = fields
+      .map((field, index) => ({ field, proposal: proposeFill(field, response.fields?.[index]?.candidates) }))
+      .filter(row => row.proposal && !isProposalApplied(row.field, row.proposal));
+    showFillPanel(rows, fields.length - rows.length);
+    return { success: true, proposed: rows.length, fields: fields.length };
+  }
+
+  /**
+   * The form holding the focused element; in the top frame with nothing
+   * focused, the first form with a field we recognise. A focused iframe makes
+   * the top frame step aside so only that frame answers.
+   */
+  function findFillForm() {
+    const active = document.activeElement;
+    const focusedForm = active?.closest?.('form');
+    if (focusedForm) return focusedForm;
+    if (window !== window.top || (active && active !== document.body && active !== document.documentElement)) return null;
+    return Array.from(document.forms).find(form => collectFillFields(form).length > 0) || null;
+  }
+
+  /**
+   * Every rendered, editable, non-sensitive field in the form that classifies,
+   * with each radio group and each set of same-named checkboxes as one field.
+   * @returns {{element: Element, kind: 'text'|'select'|'radio'|'checkbox', controls: Element[],
+   *   fieldType: string, label: string, group: {key: string, label: string}}[]}
+   */
+  function collectFillFields(form) {
+    const fields = [];
+    const groups = new Map();
+
+    for (const element of form.elements) {
+      const kind = getFillKind(element);
+      if (!kind || element.disabled || element.readOnly || !isFieldRendered(element) || isSensitiveField(element, FILL_SENSITIVITY)) continue;
+
+      const groupKey = kind === 'radio' || kind === 'checkbox' ? `${kind}:${element.name || element.id}` : null;
+      if (groupKey && groups.has(groupKey)) {
+        groups.get(groupKey)?.controls.push(element);
+        continue;
+      }
+
+      const classification = classifyFieldDetails(element, FILL_SENSITIVITY);
+      if (DIGIT_INPUT_TYPES.includes(element.type) && !DIGIT_FIELD_TYPES.includes(classification?.type)) continue;
+      const field = classification
+        ? {
+          element,
+          kind,
+          controls: [element],
+          fieldType: classification.type,
+          label: getFillLabel(classification.signals),
+          group: getFillGroup(classification.signals)
+        }
+        : null;
+      // Unrecognised groups are remembered too, so their other members are skipped
+      if (groupKey) groups.set(groupKey, field);
+      if (field) fields.push(field);
+    }
+    return fields;
+  }
+
+  function getFillKind(element) {
+    const tagName = element.tagName?.toLowerCase();
+    if (tagName === 'select') return element.multiple ? null : 'select';
+    if (tagName === 'textarea') return 'text';
+    if (tagName !== 'input') return null;
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    if (type === 'radio' || type === 'checkbox') return type;
+    return FILLABLE_INPUT_TYPES.includes(type) ? 'text' : null;
+  }
+
+  /**
+   * Laid out and not hidden — anywhere on the page, not just in view. Custom
+   * radios and checkboxes often hide the input itself, so their label counts.
+   */
+  function isFieldRendered(element) {
+    const target = element.type === 'radio' || element.type === 'checkbox' ? (element.labels?.[0] || element) : element;
+    return target.getClientRects().length > 0 && getComputedStyle(target).visibility !== 'hidden';
+  }
+
+  /**
+   * The autocomplete section and shipping/billing group a field belongs to
+   * ("section-work shipping postal-code" → Shipping · work). Fields without
+   * one share the '' group.
+   */
+  function getFillGroup(signals) {
+    const autofill = fieldClassifier.parseAutocomplete(signals.autocomplete);
+    const addressType = autofill?.addressType ? autofill.addressType[0].toUpperCase() + autofill.addressType.slice(1) : '';
+    const section = autofill?.section.replace(/^section-/, '') || '';
+    return {
+      key: [autofill?.addressType, section].filter(Boolean).join(' '),
+      label: [addressType, section].filter(Boolean).join(' · ')
+    };
+  }
+
+  function getFillLabel(signals) {
+    const label = signals.label || signals.ariaLabel || signals.placeholder || signals.name || signals.id;
+    return label.replace(/\s+/g, ' ').trim().slice(0, 60);
+  }
+
+  /**
+   * The options a choice field offers, with the element that selects each one.
+   */
+  function getFillOptions(field) {
+    if (field.kind === 'select') {
+      return Array.from(field.element.options)
+        .filter(option => !option.disabled && option.value && !PLACEHOLDER_OPTION_PATTERN.test(option.textContent.trim()))
+        .map(option => ({ label: option.textContent.trim(), value: option.value, target: option }));
+    }
+    return field.controls.map(control => ({
+      label: (control.labels?.[0]?.textContent || control.getAttribute('aria-label') || control.value).trim(),
+      value: control.value,
+      target: control
+    }));
+  }
+
+  function findMatchingOption(options, value) {
+    const wanted = normalizeCandidateValue(value);
+    if (!wanted) return null;
+    return options.find(option =>
+      normalizeCandidateValue(option.label) === wanted || normalizeCandidateValue(option.value) === wanted
+    ) || options.find(option => {
+      // "United States" ↔ "United States of America", but not "in" ↔ "Indonesia"
+      const label = normalizeCandidateValue(option.label);
+      return label.length >= 3 && wanted.length >= 3 && (label.includes(wanted) || wanted.includes(label));
+    }) || null;
+  }
+
+  /**
+   * What the review panel offers for one field: the first candidate for a text
+   * field, the first candidate that names an option for a select or radio
+   * group, and every listed value (e.g. each skill) for a checkbox group.
+   * @returns {{value?: string, options?: object[], display: string, source: string, confidence: number} | null}
+   */
+  function proposeFill(field, candidates = []) {
+    if (field.kind === 'text') {
+      const best = candidates[0];
+      return best ? { value: best.value, display: best.value, source: best.source, confidence: best.confidence } : null;
+    }
+
+    const options = getFillOptions(field);
+    if (field.kind === 'checkbox') {
+      const matched = [];
+      let from = null;
+      candidates.forEach(candidate => candidate.value.split(',').forEach(part => {
+        const option = findMatchingOption(options, part);
+        if (!option || matched.includes(option)) return;
+        matched.push(option);
+        from = from || candidate;
+      }));
+      return matched.length > 0
+        ? { options: matched, display: matched.map(option => option.label).join(', '), source: from.source, confidence: from.confidence }
+        : null;
+    }
+
+    for (const candidate of candidates) {
+      const option = findMatchingOption(options, candidate.value);
+      if (option) return { options: [option], display: option.label, source: candidate.source, confidence: candidate.confidence };
+    }
+    return null;
+  }
+
+  function hasFillValue(field) {
+    switch (field.kind) {
+      case 'radio':
+      case 'checkbox':
+        return field.controls.some(control => control.checked);
+      case 'select': {
+        const option = field.element.options[field.element.selectedIndex];
+        return Boolean(option?.value) && !PLACEHOLDER_OPTION_PATTERN.test(option.textContent.trim());
+      }
+      default:
+        return getInputValue(field.element).trim().length > 0;
+    }
+  }
+
+  function isProposalApplied(field, proposal) {
+    switch (field.kind) {
+      case 'text': return getInputValue(field.element).trim() === proposal.value.trim();
+      case 'select': return proposal.options[0].target.selected;
+      default: return proposal.options.every(option => option.target.checked);
+    }
+  }
+
+  /**
+   * Write one reviewed value. Text and selects go through the native value
+   * setter so framework-controlled inputs see the change; radios and
+   * checkboxes are clicked so the page's own handlers run.
+   */
+  function applyFill(field, proposal) {
+    const { element } = field;
+    if (field.kind === 'radio' || field.kind === 'checkbox') {
+      proposal.options.forEach(option => { if (!option.target.checked) option.target.click(); });
+      return;
+    }
+
+    if (field.kind === 'select') {
+      Object.getOwnPropertyDescriptor(HTMLSelectElement.prototype, 'value').set.call(element, proposal.options[0].value);
+    } else {
+      // Our own input event mustn't start a suggestion request for this field
+      if (element === currentInput) lastInputValue = proposal.value;
+      const prototype = element.tagName.toLowerCase() === 'textarea' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+      Object.getOwnPropertyDescriptor(prototype, 'value').set.call(element, proposal.value);
+    }
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  // ── Review panel ───────────────────────────────────────────────────────────
+
+  /**
+   * One row per proposed value, ticked unless the field already has a value
+   * of its own. When the form has several autocomplete groups (shipping and
+   * billing, or named sections), rows come under a heading per group and only
+   * the focused field's group — else the first — starts ticked; fields
+   * outside any group always do. Nothing is written until "Fill".
+   */
+  function showFillPanel(rows, unmatchedCount) {
+    const focused = document.activeElement;
+    closeFillPanel(false);
+    hideSuggestion();
+    pendingFill = { rows, returnFocus: focused };
+
+    const groupKeys = new Set(rows.map(({ field }) => field.group.key));
+    const activeGroup = rows.find(({ field }) => field.group.key && field.controls.includes(focused))?.field.group.key ||
+      rows.find(({ field }) => field.group.key)?.field.group.key || '';
+
+    fillPanel = document.createElement('div');
+    fillPanel.className = 'fill-panel';
+    fillPanel.setAttribute('role', 'dialog');
+    fillPanel.setAttribute('aria-label', 'Fill this form');
+
+    const rowsHtml = rows.map(({ field, proposal }, index) => {
+      const replaces = hasFillValue(field);
+      const ticked = !replaces && (!field.group.key || field.group.key === activeGroup);
+      const heading = groupKeys.size > 1 && field.group.key !== rows[index - 1]?.field.group.key
+        ? `<li class="fill-group">${escapeHtml(field.group.label || 'Other fields')}</li>`
+        : '';
+      const details = [
+        escapeHtml(proposal.source),
+        `${Math.round(proposal.confidence * 100)}%`,
+        replaces ? 'replaces what\'s there' : ''
+      ].filter(Boolean).join(' · ');
+      return `${heading}
+        <li>
+          <label class="fill-row">
+            <input type="checkbox" data-index="${index}" ${ticked ? 'checked' : ''}>
+            <span class="fill-row-body">
+              <span class="fill-label">${escapeHtml(field.label || field.fieldType)}</span>
+              <span class="fill-value">${escapeHtml(proposal.display)}</span>
+              <span class="fill-source">${details}</span>
+            </span>
+          </label>
+        </li>`;
+    }).join('');
+
+    fillPanel.innerHTML = `
+      <div class="top-row">
+        <span class="badge badge-fill">⚡ Fill this form</span>
+        <span class="counter">${rows.length} ${rows.length === 1 ? 'field' : 'fields'}</span>
+      </div>
+      ${rows.length > 0
+        ? `<ul class="fill-rows">${rowsHtml}</ul>`
+        : '<div class="notice">Nothing saved matches this form. Add details on the Profiles page.</div>'}
+      ${unmatchedCount > 0
+        ? `<div class="caption">${unmatchedCount} other ${unmatchedCount === 1 ? 'field is' : 'fields are'} already filled or left for you.</div>`
+        : ''}
+      <div class="fill-actions">
+        <button type="button" class="fill-apply"></button>
+        <button type="button" class="fill-cancel">Cancel</button>
+      </div>
+      <div class="hint">Esc to close</div>
+    `;
+
+    fillPanel.addEventListener('change', updateFillApplyButton);
+    fillPanel.addEventListener('click', (e) => {
+      if (e.target.closest?.('.fill-apply')) applyFillPanel();
+      else if (e.target.closest?.('.fill-cancel')) closeFillPanel(true);
+    });
+    fillPanel.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      e.stopPropagation();
+      closeFillPanel(true);
+    });
+
+    overlayRoot.appendChild(fillPanel);
+    updateFillApplyButton();
+    fillPanel.querySelector(rows.length > 0 ? '.fill-apply' : '.fill-cancel').focus();
+    if (liveRegion) liveRegion.textContent = `${rows.length} ${rows.length === 1 ? 'value' : 'values'} to review`;
+  }
+
+  function getCheckedFillRows() {
+    return Array.from(fillPanel.querySelectorAll('input[data-index]:checked'))
+      .map(checkbox => pendingFill.rows[Number(checkbox.dataset.index)]);
+  }
+
+  function updateFillApplyButton() {
+    const button = fillPanel?.querySelector('.fill-apply');
+    if (!button) return;
+    const count = getCheckedFillRows().length;
+    button.textContent = `Fill ${count} ${count === 1 ? 'field' : 'fields'}`;
+    button.disabled = count === 0;
+  }
+
+  function applyFillPanel() {
+    const rows = getCheckedFillRows();
+    let filled = 0;
+    rows.forEach(({ field, proposal }) => {
+      // The page may have re-rendered since the panel opened
+      if (!field.element.isConnected) return;
+      try {
+        applyFill(field, proposal);
+        filled++;
+      } catch (error) {
+        console.error('Failed to fill field:', field.label, error);
+      }
+    });
+    closeFillPanel(true);
+    if (liveRegion) liveRegion.textContent = `Filled ${filled} ${filled === 1 ? 'field' : 'fields'}`;
+  }
+
+  function closeFillPanel(restoreFocus) {
+    const returnFocus = pendingFill?.returnFocus;
+    fillPanel?.remove();
+    fillPanel = null;
+    pendingFill = null;
+    if (restoreFocus && returnFocus?.isConnected && returnFocus !== document.body) returnFocus.focus();
   }
 
   function setupMessageListener() {
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      // Only the top frame answers the popup's page queries; started
+      // subframes follow the on/off switch and the global hotkeys
+      if (window !== window.top && !['toggleExtension', 'triggerSuggestions', 'fillForm'].includes(request.action)) return false;
+      // The global hotkeys reach every frame — only the one with the focused field (or form) answers
+      if (request.action === 'triggerSuggestions' && !(currentInput && document.hasFocus())) return false;
+      if (request.action === 'fillForm' && !findFillForm()) return false;
       handleMessage(request).then(sendResponse).catch(error => sendResponse({ error: error.message }));
       return true;
     });
@@ -817,11 +2196,20 @@
       case 'getPageContext': return getPageContext();
       case 'getActiveInput': return getActiveInput();
       case 'insertSuggestion': return insertSuggestion(request.data.text);
+      case 'triggerSuggestions': return { success: triggerSuggestions(currentInput) };
+      case 'fillForm': return fillForm();
       case 'toggleExtension':
         extensionEnabled = request.data.enabled ?? true;
         clearTimeout(debounceTimer);
+        cancelActiveRequest();
         currentSuggestions = [];
-        if (!extensionEnabled) hideSuggestion();
+        // The popup just saved new site rules — re-read them so "disable on this site" applies at once
+        if (request.data.siteRulesChanged && siteRules) await siteRules.loadSiteRules();
+        if (!extensionEnabled || !isSiteActive() || (currentInput && !isInputAllowed(currentInput))) {
+          hideSuggestion();
+          currentInput = null;
+        }
+        if (extensionEnabled && isSiteActive()) await startSuggestions();
         return { success: true };
       default: throw new Error(`Unknown action: ${request.action}`);
     }
@@ -829,19 +2217,17 @@
 
   function getPageContext() {
     const context = { title: document.title, headings: [], summary: '', mainContent: '', chatHistory: [] };
+    // Switched off here — share no more than the tab title the browser already exposes
+    if (!isSiteActive()) return context;
     try {
       context.headings = Array.from(document.querySelectorAll('h1, h2, h3')).slice(0, 10).map(h => h.textContent.trim()).filter(Boolean);
       const metaDesc = document.querySelector('meta[name="description"]');
       context.summary = metaDesc ? metaDesc.content : '';
 
-      const url = window.location.href.toLowerCase();
-      if (url.includes('chat.openai.com')) {
-        const messages = Array.from(document.querySelectorAll('[data-message-author-role]')).slice(-5).map(m => m.textContent.trim()).filter(Boolean);
-        if (messages.length) { context.mainContent = messages.join('\n---\n'); context.chatHistory = messages; }
-      } else if (url.includes('claude.ai')) {
-        let messages = Array.from(document.querySelectorAll('[data-test-render-count]')).slice(-5).map(m => m.textContent.trim()).filter(Boolean);
-        if (!messages.length) messages = Array.from(document.querySelectorAll('.font-user-message, .font-claude-message')).slice(-5).map(m => m.textContent.trim()).filter(Boolean);
-        if (messages.length) { context.mainContent = messages.join('\n---\n'); context.chatHistory = messages; }
+      const chatHistory = getChatTranscript();
+      if (chatHistory.length) {
+        context.mainContent = chatHistory.map(turn => turn.text).join('\n---\n');
+        context.chatHistory = chatHistory;
       } else {
         const mainEl = document.querySelector('main, article, .content, #content');
         if (mainEl) context.mainContent = mainEl.textContent.trim().substring(0, 1000);
@@ -850,23 +2236,57 @@
     return context;
   }
 
+  function getAiChatSite() {
+    const host = window.location.hostname.toLowerCase();
+    return AI_CHAT_SITES.find(site => site.domains.some(domain => host === domain || host.endsWith(`.${domain}`))) || null;
+  }
+
+  /**
+   * Last few conversation turns on a supported AI chat site, oldest first.
+   * @returns {{role: 'user'|'assistant', text: string}[]}
+   */
+  function getChatTranscript(limit = 6) {
+    const site = getAiChatSite();
+    if (!site) return [];
+    try {
+      const nodes = Array.from(document.querySelectorAll(site.messages));
+      // Selectors can match both a turn and an element nested inside it — keep the outermost
+      return nodes
+        .filter(node => !nodes.some(other => other !== node && other.contains(node)))
+        .map(node => ({ role: site.role(node), text: node.textContent.trim().slice(0, 2000) }))
+        .filter(turn => turn.text)
+        .slice(-limit);
+    } catch (error) {
+      console.error('Error reading chat transcript:', error);
+      return [];
+    }
+  }
+
   function getActiveInput() {
     if (!currentInput || isSensitiveField(currentInput)) return { text: '' };
     return { text: getInputValue(currentInput).trim() };
   }
 
   function insertSuggestion(text) {
-    if (!currentInput || isSensitiveField(currentInput)) return { success: false, error: 'No active input field' };
+    // Focus moving to the popup or side panel blurs the page, which clears
+    // currentInput — the field is still the document's active element
+    const active = document.activeElement;
+    const input = currentInput || (isInputElement(active) && isInputAllowed(active) ? active : null);
+    if (!input || isSensitiveField(input)) return { success: false, error: 'No active input field' };
     try {
-      setInputValue(currentInput, text);
-      currentInput.dispatchEvent(new Event('input', { bubbles: true }));
-      currentInput.dispatchEvent(new Event('change', { bubbles: true }));
-      return { success: true };
+      const previousText = getInputValue(input);
+      setInputValue(input, text);
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+      // The popup and side panel record this as accepted feedback, with what was
+      // typed before and the page type it landed on
+      return { success: true, previousText, pageType: detectPageType() };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
-  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => initialize());
-  else initialize();
+  const boot = window === window.top ? initialize : initializeFrame;
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => boot());
+  else boot();
 })();
@@ -0,0 +1,186 @@
+/**
+ * Options Page Script
+ * Edits the named form-fill profiles and the per-site rules that pick one
+ * (see config/user-profile.js). Edits stay in memory until Save, then go
+ * straight to chrome.storage.local; the service worker and content scripts
+ * pick them up through storage.onChanged.
+ */
+
+import {
+  PROFILE_FIELDS, MAX_PROFILES, loadProfiles, saveProfiles, clearProfiles, createProfile
+} from '../config/user-profile.js';
+
+const elements = {
+  form: document.getElementById('profileForm'),
+  profileSelect: document.getElementById('profileSelect'),
+  profileName: document.getElementById('profileName'),
+  profileDefault: document.getElementById('profileDefault'),
+  addProfileBtn: document.getElementById('addProfileBtn'),
+  deleteProfileBtn: document.getElementById('deleteProfileBtn'),
+  siteRulesList: document.getElementById('siteRulesList'),
+  siteRulePattern: document.getElementById('siteRulePattern'),
+  siteRuleProfile: document.getElementById('siteRuleProfile'),
+  addSiteRuleBtn: document.getElementById('addSiteRuleBtn'),
+  clearProfileBtn: document.getElementById('clearProfileBtn'),
+  statusText: document.getElementById('statusText')
+};
+
+// Working copy of { profiles, defaultId, siteRules }
+let state = null;
+let editingId = null;
+let statusTimer = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  state = structuredClone(await loadProfiles());
+  editingId = state.defaultId;
+  render();
+});
+
+elements.profileSelect.addEventListener('change', () => {
+  readForm();
+  editingId = elements.profileSelect.value;
+  render();
+});
+
+elements.addProfileBtn.addEventListener('click', () => {
+  readForm();
+  if (state.profiles.length >= MAX_PROFILES) {
+    showStatus(`At most ${MAX_PROFILES} profiles`, 'error');
+    return;
+  }
+  const profile = createProfile(`Profile ${state.profiles.length + 1}`);
+  state.profiles.push(profile);
+  editingId = profile.id;
+  render();
+  elements.profileName.select();
+});
+
+elements.deleteProfileBtn.addEventListener('click', () => {
+  if (state.profiles.length < 2) return;
+  const profile = getEditing();
+  if (!confirm(`Delete the "${profile.name}" profile and its site rules?`)) return;
+  state.profiles = state.profiles.filter(p => p.id !== profile.id);
+  state.siteRules = state.siteRules.filter(rule => rule.profileId !== profile.id);
+  if (state.defaultId === profile.id) state.defaultId = state.profiles[0].id;
+  editingId = state.defaultId;
+  render();
+});
+
+elements.addSiteRuleBtn.addEventListener('click', () => {
+  const pattern = elements.siteRulePattern.value.trim();
+  if (!pattern) return;
+  state.siteRules = [
+    ...state.siteRules.filter(rule => rule.pattern !== pattern.toLowerCase()),
+    { pattern, profileId: elements.siteRuleProfile.value }
+  ];
+  elements.siteRulePattern.value = '';
+  renderSiteRules();
+});
+
+elements.form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  readForm();
+  try {
+    state = structuredClone(await saveProfiles(state));
+    render();
+    showStatus('Profiles saved', 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+});
+
+elements.clearProfileBtn.addEventListener('click', async () => {
+  if (!confirm('Delete every profile and per-site rule?')) return;
+  try {
+    await clearProfiles();
+    state = structuredClone(await loadProfiles());
+    editingId = state.defaultId;
+    render();
+    showStatus('Profiles cleared', 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+});
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+function render() {
+  if (!state.profiles.some(profile => profile.id === editingId)) editingId = state.defaultId;
+  const profile = getEditing();
+
+  elements.profileSelect.innerHTML = '';
+  state.profiles.forEach(p => elements.profileSelect.appendChild(new Option(p.name || '(unnamed)', p.id)));
+  elements.profileSelect.value = editingId;
+
+  elements.profileName.value = profile.name;
+  elements.profileDefault.checked = state.defaultId === profile.id;
+  elements.profileDefault.disabled = state.defaultId === profile.id;
+  elements.deleteProfileBtn.disabled = state.profiles.length < 2;
+
+  for (const field of Object.keys(PROFILE_FIELDS)) {
+    const value = profile[field];
+    document.getElementById(field).value = Array.isArray(value) ? value.join(', ') : value;
+  }
+
+  renderSiteRules();
+}
+
+function renderSiteRules() {
+  const profileOptions = () => state.profiles.map(p => new Option(p.name || '(unnamed)', p.id));
+
+  elements.siteRuleProfile.innerHTML = '';
+  elements.siteRuleProfile.append(...profileOptions());
+  elements.siteRuleProfile.value = editingId;
+
+  elements.siteRulesList.innerHTML = '';
+  state.siteRules.forEach(rule => {
+    const item = document.createElement('li');
+    item.className = 'site-rule';
+
+    const pattern = document.createElement('span');
+    pattern.textContent = rule.pattern;
+
+    const select = document.createElement('select');
+    select.append(...profileOptions());
+    select.value = rule.profileId;
+    select.addEventListener('change', () => { rule.profileId = select.value; });
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-secondary';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      state.siteRules = state.siteRules.filter(r => r !== rule);
+      renderSiteRules();
+    });
+
+    item.append(pattern, select, remove);
+    elements.siteRulesList.appendChild(item);
+  });
+}
+
+// ── Form state ────────────────────────────────────────────────────────────────
+
+function getEditing() {
+  return state.profiles.find(profile => profile.id === editingId);
+}
+
+/**
+ * Copy the visible fields into the working state before switching or saving.
+ */
+function readForm() {
+  const profile = getEditing();
+  if (!profile) return;
+  profile.name = elements.profileName.value;
+  if (elements.profileDefault.checked) state.defaultId = profile.id;
+  for (const field of Object.keys(PROFILE_FIELDS)) {
+    profile[field] = document.getElementById(field).value;
+  }
+}
+
+function showStatus(message, type) {
+  elements.statusText.textContent = message;
+  elements.statusText.className = `status ${type}`;
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => { elements.statusText.textContent = ''; }, 3000);
+}
@@ -3,10 +3,19 @@
  * Handles UI interactions and communication with background script
  */
 
+import { PROVIDERS, DEFAULT_PROVIDER, getProviderPreset } from '../config/providers.js';
+import { DEFAULT_LIMITS } from '../utils/rate-limiter.js';
+import { GENERATION_LIMITS } from '../config/config-manager.js';
+import { SITE_MODES, loadSiteRules, saveSiteRules, getSiteRules, getSiteMode, withSiteMode } from '../config/site-rules.js';
+import { loadPolicy as loadSensitivityPolicy, isOverlayDisabled } from '../config/sensitivity-policy.js';
+import { KEY_ACTIONS, DEFAULT_KEY_BINDINGS, eventToCombo } from '../config/key-bindings.js';
+import { loadProfiles, saveProfiles, getProfiles, findProfileRule, withSiteProfile } from '../config/user-profile.js';
+
 // Views
 const views = {
   notConfigured: document.getElementById('notConfiguredView'),
   main: document.getElementById('mainView'),
+  inspector: document.getElementById('inspectorView'),
   settings: document.getElementById('settingsView')
 };
 
@@ -19,47 +28,113 @@ const elements = {
   emptyState: document.getElementById('emptyState'),
   suggestionsList: document.getElementById('suggestionsList'),
   refreshBtn: document.getElementById('refreshBtn'),
+  fillFormBtn: document.getElementById('fillFormBtn'),
+  siteInfo: document.getElementById('siteInfo'),
+  siteModeText: document.getElementById('siteModeText'),
+  siteToggleBtn: document.getElementById('siteToggleBtn'),
+  siteProfileInfo: document.getElementById('siteProfileInfo'),
+  siteProfileSelect: document.getElementById('siteProfileSelect'),
+  usageInfo: document.getElementById('usageInfo'),
+  redactionInfo: document.getElementById('redactionInfo'),
   
   // Toggle
   extensionToggle: document.getElementById('extensionToggle'),
   toggleStatus: document.getElementById('toggleStatus'),
   
+  // Prompt inspector view
+  inspectorBtn: document.getElementById('inspectorBtn'),
+  statsBtn: document.getElementById('statsBtn'),
+  sidePanelBtn: document.getElementById('sidePanelBtn'),
+  inspectorBackBtn: document.getElementById('inspectorBackBtn'),
+  clearPromptLogBtn: document.getElementById('clearPromptLogBtn'),
+  promptLogList: document.getElementById('promptLogList'),
+  promptLogEmpty: document.getElementById('promptLogEmpty'),
+  
   // Settings view
   settingsBtn: document.getElementById('settingsBtn'),
   backBtn: document.getElementById('backBtn'),
   goToSettingsBtn: document.getElementById('goToSettingsBtn'),
+  providerSelect: document.getElementById('providerSelect'),
+  providerEndpointGroup: document.getElementById('providerEndpointGroup'),
+  providerBaseURLInput: document.getElementById('providerBaseURLInput'),
+  providerAuthGroup: document.getElementById('providerAuthGroup'),
+  providerAuthSchemeSelect: document.getElementById('providerAuthSchemeSelect'),
+  providerAuthHeaderInput: document.getElementById('providerAuthHeaderInput'),
+  providerModelGroup: document.getElementById('providerModelGroup'),
+  providerModelInput: document.getElementById('providerModelInput'),
   apiKeyInput: document.getElementById('apiKeyInput'),
+  apiKeyHint: document.getElementById('apiKeyHint'),
   toggleApiKeyBtn: document.getElementById('toggleApiKeyBtn'),
   modelSelect: document.getElementById('modelSelect'),
+  modelHint: document.getElementById('modelHint'),
+  temperatureInput: document.getElementById('temperatureInput'),
+  maxTokensInput: document.getElementById('maxTokensInput'),
   testConnectionBtn: document.getElementById('testConnectionBtn'),
   connectionStatus: document.getElementById('connectionStatus'),
   enableHistoryTracking: document.getElementById('enableHistoryTracking'),
   enableTabAnalysis: document.getElementById('enableTabAnalysis'),
   enableAiChatMode: document.getElementById('enableAiChatMode'),
+  overlayStyleSelect: document.getElementById('overlayStyleSelect'),
+  overlayThemeSelect: document.getElementById('overlayThemeSelect'),
+  triggerOnlyMode: document.getElementById('triggerOnlyMode'),
+  keyBindingsList: document.getElementById('keyBindingsList'),
+  globalShortcutHint: document.getElementById('globalShortcutHint'),
+  shortcutsLink: document.getElementById('shortcutsLink'),
+  resetKeyBindingsBtn: document.getElementById('resetKeyBindingsBtn'),
+  editProfileBtn: document.getElementById('editProfileBtn'),
+  enableStreaming: document.getElementById('enableStreaming'),
+  rateLimitPerMinute: document.getElementById('rateLimitPerMinute'),
+  rateLimitPerHour: document.getElementById('rateLimitPerHour'),
+  rateLimitPerDay: document.getElementById('rateLimitPerDay'),
+  policyFieldKeywords: document.getElementById('policyFieldKeywords'),
+  policyExcludedUrls: document.getElementById('policyExcludedUrls'),
+  policyDisabledDomains: document.getElementById('policyDisabledDomains'),
+  redactionPatterns: document.getElementById('redactionPatterns'),
+  resetPolicyBtn: document.getElementById('resetPolicyBtn'),
+  siteRulesList: document.getElementById('siteRulesList'),
+  siteRulePattern: document.getElementById('siteRulePattern'),
+  siteRuleMode: document.getElementById('siteRuleMode'),
+  addSiteRuleBtn: document.getElementById('addSiteRuleBtn'),
   saveSettingsBtn: document.getElementById('saveSettingsBtn'),
   clearDataBtn: document.getElementById('clearDataBtn')
 };
 
+const defaultEmptyStateHTML = elements.emptyState.innerHTML;
+
 // State
-let currentConfig = { isConfigured: false, model: "llama-3.1-8b-instant", enableHistoryTracking: true, enableTabAnalysis: true, enableAiChatMode: true };
+let currentConfig = { isConfigured: false, provider: DEFAULT_PROVIDER, model: '', temperature: GENERATION_LIMITS.temperature.default, maxTokens: GENERATION_LIMITS.maxTokens.default, enableHistoryTracking: true, enableTabAnalysis: true, enableAiChatMode: true, enableStreaming: true, overlayStyle: 'card', overlayTheme: 'auto' };
 let currentSuggestions = null;
 let extensionEnabled = true;
+let defaultPolicy = null;
+// Hostname of the active tab (null on chrome:// and other non-web pages)
+let currentHost = null;
+// sidePanel.open() needs a user gesture, so the window id is looked up ahead of the click
+let currentWindowId = null;
+// { endpoint, models } from the last /models call that actually reached the provider
+let liveModels = null;
+chrome.windows.getCurrent().then(win => { currentWindowId = win.id; }).catch(() => {});
 
 /**
  * Initialize popup
  */
 async function initialize() {
   try {
+    populateProviderOptions();
+    populateSiteModeOptions();
     await loadConfig();
     await loadExtensionState();
+    await loadSiteState();
     setupEventListeners();
 
     if (currentConfig && currentConfig.isConfigured) {
       showView('main');
-      if (extensionEnabled) {
-        await loadSuggestions();
-      } else {
+      loadRateLimitStatus();
+      if (!extensionEnabled) {
         showDisabledState();
+      } else if (isCurrentSiteOff()) {
+        showSiteDisabledState();
+      } else {
+        await loadSuggestions();
       }
     } else {
       showView('notConfigured');
@@ -118,17 +193,42 @@ function showView(viewName) {
  */
 function setupEventListeners() {
   // Navigation
-  elements.settingsBtn.addEventListener('click', () => showView('settings'));
+  elements.settingsBtn.addEventListener('click', openSettings);
   elements.backBtn.addEventListener('click', () => showView('main'));
-  elements.goToSettingsBtn.addEventListener('click', () => showView('settings'));
+  elements.goToSettingsBtn.addEventListener('click', openSettings);
+  elements.inspectorBtn.addEventListener('click', openInspector);
+  elements.inspectorBackBtn.addEventListener('click', () => showView(currentConfig.isConfigured ? 'main' : 'notConfigured'));
+  elements.clearPromptLogBtn.addEventListener('click', clearPromptLog);
+  elements.statsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/stats/stats.html') });
+  });
+  elements.sidePanelBtn.addEventListener('click', openSidePanel);
   
   // Extension Toggle
   elements.extensionToggle.addEventListener('change', toggleExtension);
   
   // Actions
   elements.refreshBtn.addEventListener('click', loadSuggestions);
+  elements.fillFormBtn.addEventListener('click', fillForm);
+  elements.providerSelect.addEventListener('change', () => {
+    updateProviderFields();
+    loadModels();
+  });
+  elements.providerBaseURLInput.addEventListener('change', loadModels);
+  elements.apiKeyInput.addEventListener('change', loadModels);
+  elements.providerAuthSchemeSelect.addEventListener('change', updateProviderFields);
   elements.toggleApiKeyBtn.addEventListener('click', toggleApiKeyVisibility);
   elements.testConnectionBtn.addEventListener('click', testConnection);
+  elements.siteToggleBtn.addEventListener('click', toggleCurrentSite);
+  elements.siteProfileSelect.addEventListener('change', setSiteProfile);
+  elements.addSiteRuleBtn.addEventListener('click', addSiteRule);
+  elements.resetPolicyBtn.addEventListener('click', () => defaultPolicy && populatePolicy(defaultPolicy));
+  elements.resetKeyBindingsBtn.addEventListener('click', () => renderKeyBindings(DEFAULT_KEY_BINDINGS));
+  elements.editProfileBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  elements.shortcutsLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
   elements.saveSettingsBtn.addEventListener('click', saveSettings);
   elements.clearDataBtn.addEventListener('click', clearData);
 }
@@ -145,13 +245,18 @@ async function loadSuggestions() {
       data: {}
     });
     
+    showRedactions(response.redactions);
     if (response.success) {
       currentSuggestions = response;
       displaySuggestions(response);
+    } else if (response.rateLimited) {
+      showStatus(`Rate limited locally — try again in ${formatDuration(response.retryAfterMs)}`, 'error');
+      showEmpty();
     } else {
       showStatus(response.error || 'Failed to generate suggestions', 'error');
       showEmpty();
     }
+    loadRateLimitStatus();
   } catch (error) {
     console.error('Failed to load suggestions:', error);
     showStatus('Failed to load suggestions', 'error');
@@ -159,6 +264,169 @@ async function loadSuggestions() {
   }
 }
 
+/**
+ * Show remaining local budget and time until the tightest window resets
+ */
+async function loadRateLimitStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getRateLimitStatus' });
+    if (!response?.success) return;
+
+    const labels = { minute: 'min', hour: 'hr', day: 'day' };
+    const parts = [];
+    let exhaustedReset = 0;
+
+    Object.entries(labels).forEach(([window, label]) => {
+      const remaining = response.remaining[window];
+      if (remaining === null) return;
+      parts.push(`${remaining}/${response.limits[window]} per ${label}`);
+      if (remaining === 0) exhaustedReset = Math.max(exhaustedReset, response.resetIn[window]);
+    });
+
+    if (parts.length === 0) {
+      elements.usageInfo.classList.add('hidden');
+      return;
+    }
+
+    const nextReset = exhaustedReset || response.resetIn.minute;
+    const resetText = nextReset > 0 ? ` · resets in ${formatDuration(nextReset)}` : '';
+    elements.usageInfo.textContent = `Remaining: ${parts.join(' · ')}${resetText}`;
+    elements.usageInfo.classList.toggle('exhausted', exhaustedReset > 0);
+    elements.usageInfo.classList.remove('hidden');
+  } catch (error) {
+    console.error('Failed to load rate limit status:', error);
+  }
+}
+
+/**
+ * "3 items masked before sending (email ×2, phone ×1)" for the last request
+ */
+function showRedactions(redactions) {
+  if (!redactions?.total) {
+    elements.redactionInfo.classList.add('hidden');
+    return;
+  }
+  elements.redactionInfo.textContent =
+    `${redactions.total} ${redactions.total === 1 ? 'item' : 'items'} masked before sending (${formatRedactionTypes(redactions.byType)})`;
+  elements.redactionInfo.classList.remove('hidden');
+}
+
+function formatRedactionTypes(byType) {
+  return Object.entries(byType || {}).map(([type, count]) => `${type} ×${count}`).join(', ');
+}
+
+/**
+ * Show the prompt inspector with the latest log from the service worker
+ */
+async function openInspector() {
+  showView('inspector');
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getPromptLog' });
+    renderPromptLog(response?.success ? response.entries : []);
+  } catch (error) {
+    console.error('Failed to load prompt log:', error);
+    renderPromptLog([]);
+  }
+}
+
+function openSidePanel() {
+  if (currentWindowId === null) return;
+  chrome.sidePanel.open({ windowId: currentWindowId })
+    .then(() => window.close())
+    .catch(error => {
+      console.error('Failed to open side panel:', error);
+      showStatus('Failed to open side panel', 'error');
+    });
+}
+
+/**
+ * One card per sent prompt: summary line, then the exact messages and results
+ */
+function renderPromptLog(entries) {
+  elements.promptLogList.innerHTML = '';
+  elements.promptLogEmpty.classList.toggle('hidden', entries.length > 0);
+
+  entries.forEach(entry => {
+    const card = document.createElement('div');
+    card.className = `prompt-entry ${entry.status}`;
+
+    const title = document.createElement('div');
+    title.className = 'prompt-entry-title';
+    title.textContent = `${entry.provider} · ${entry.model}`;
+
+    const usage = entry.usage
+      ? `${entry.usage.prompt_tokens ?? '?'} in / ${entry.usage.completion_tokens ?? '?'} out tokens`
+      : 'tokens not reported';
+    const status = entry.status === 'ok' ? '' : ` · ${entry.status}${entry.error ? `: ${entry.error}` : ''}`;
+    const masked = entry.redactions?.total
+      ? ` · ${entry.redactions.total} masked (${formatRedactionTypes(entry.redactions.byType)})`
+      : '';
+    const meta = document.createElement('div');
+    meta.className = 'prompt-entry-meta';
+    meta.textContent = `${new Date(entry.timestamp).toLocaleTimeString()} · ${entry.strategy} · ${entry.latencyMs} ms · ${usage}${masked}${status}`;
+
+    card.append(title, meta);
+
+    entry.messages.forEach(message => {
+      card.appendChild(createDetails(`${message.role} message`, message.content));
+    });
+
+    if (entry.contextSources) {
+      const included = Object.entries(entry.contextSources)
+        .map(([source, state]) => `${source}: ${state}`)
+        .join('\n');
+      card.appendChild(createDetails('context sources', included));
+    }
+
+    if (entry.suggestions?.length > 0) {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = `${entry.suggestions.length} suggestions`;
+      const list = document.createElement('ol');
+      entry.suggestions.forEach(suggestion => {
+        const item = document.createElement('li');
+        item.textContent = typeof suggestion === 'string' ? suggestion : suggestion.text;
+        list.appendChild(item);
+      });
+      details.append(summary, list);
+      card.appendChild(details);
+    }
+
+    elements.promptLogList.appendChild(card);
+  });
+}
+
+function createDetails(label, content) {
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = label;
+  const pre = document.createElement('pre');
+  pre.textContent = content;
+  details.append(summary, pre);
+  return details;
+}
+
+async function clearPromptLog() {
+  try {
+    await chrome.runtime.sendMessage({ action: 'clearPromptLog' });
+    renderPromptLog([]);
+    showStatus('Prompt log cleared', 'success');
+  } catch (error) {
+    console.error('Failed to clear prompt log:', error);
+    showStatus('Failed to clear prompt log', 'error');
+  }
+}
+
+/**
+ * Format milliseconds as a short "42s" / "5m" / "3h" string
+ */
+function formatDuration(ms) {
+  const seconds = Math.ceil((ms || 0) / 1000);
+  if (seconds >= 3600) return `${Math.ceil(seconds / 3600)}h`;
+  if (seconds >= 60) return `${Math.ceil(seconds / 60)}m`;
+  return `${seconds}s`;
+}
+
 /**
  * Display suggestions
  */
@@ -215,15 +483,15 @@ function createSuggestionCard(suggestion, index) {
   }
   
   // Add click handler to insert suggestion
-  card.addEventListener('click', () => insertSuggestion(text));
+  card.addEventListener('click', () => insertSuggestion(text, index));
   
   return card;
 }
 
 /**
- * Insert suggestion into active input
+ * Insert suggestion into active input, and record it as accepted feedback
  */
-async function insertSuggestion(text) {
+async function insertSuggestion(text, index) {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     
@@ -233,6 +501,19 @@ async function insertSuggestion(text) {
     });
     
     if (response.success) {
+      const suggestion = currentSuggestions?.suggestions?.[index];
+      chrome.runtime.sendMessage({
+        action: 'recordFeedback',
+        data: {
+          type: 'accepted',
+          query: response.previousText || '',
+          suggestion: text,
+          derivation: typeof suggestion === 'object' ? suggestion.derivation : '',
+          pageType: currentSuggestions?.pageType,
+          position: index,
+          surface: 'popup'
+        }
+      }).catch(() => {});
       showStatus('Suggestion inserted', 'success');
       setTimeout(() => window.close(), 1000);
     } else {
@@ -244,6 +525,26 @@ async function insertSuggestion(text) {
   }
 }
 
+/**
+ * Ask the page to propose values for the focused form (or its first one).
+ * The review panel opens on the page, so the popup gets out of its way.
+ */
+async function fillForm() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'fillForm' });
+
+    if (response?.success) {
+      window.close();
+    } else {
+      showStatus(response?.error || 'No form to fill on this page', 'error');
+    }
+  } catch (error) {
+    // No frame answered: no content script here, or no form on the page
+    showStatus('No form to fill on this page', 'error');
+  }
+}
+
 /**
  * Show loading state
  */
@@ -257,6 +558,8 @@ function showLoading() {
  * Show empty state
  */
 function showEmpty() {
+  // The disabled states overwrite the empty-state markup — put the original back
+  elements.emptyState.innerHTML = defaultEmptyStateHTML;
   elements.loadingState.classList.add('hidden');
   elements.emptyState.classList.remove('hidden');
   elements.suggestionsList.classList.add('hidden');
@@ -265,7 +568,7 @@ function showEmpty() {
 /**
  * Show disabled state
  */
-function showDisabledState() {
+function showDisabledState(title = 'Extension Disabled', message = 'Toggle the switch in the header to enable AI suggestions') {
   elements.loadingState.classList.add('hidden');
   elements.suggestionsList.classList.add('hidden');
   elements.emptyState.classList.remove('hidden');
@@ -276,9 +579,176 @@ function showDisabledState() {
       <circle cx="12" cy="12" r="10"></circle>
       <line x1="4.93" y1="4.93" x2="19.07" y2="19.07"></line>
     </svg>
-    <h2>Extension Disabled</h2>
-    <p>Toggle the switch in the header to enable AI suggestions</p>
+    <h2></h2>
+    <p></p>
   `;
+  emptyState.querySelector('h2').textContent = title;
+  emptyState.querySelector('p').textContent = message;
+}
+
+function showSiteDisabledState() {
+  showDisabledState('Off on This Site', `Suggestions are disabled on ${currentHost}. Use "Enable on this site" below to turn them back on.`);
+}
+
+// ── Site rules ───────────────────────────────────────────────────────────────
+
+/**
+ * Load site rules + overlay-disabled domains and work out the active tab's host
+ */
+async function loadSiteState() {
+  try {
+    await Promise.all([loadSiteRules(), loadSensitivityPolicy(), loadProfiles()]);
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const url = new URL(tab?.url || '');
+    currentHost = /^https?:$/.test(url.protocol) ? url.hostname.toLowerCase() : null;
+  } catch (error) {
+    currentHost = null;
+  }
+  renderSiteInfo();
+  renderSiteProfile();
+  renderSiteRules();
+}
+
+function isCurrentSiteOff() {
+  if (!currentHost) return false;
+  const mode = getSiteMode(currentHost);
+  return mode ? mode === 'off' : isOverlayDisabled(currentHost);
+}
+
+function renderSiteInfo() {
+  elements.siteInfo.classList.toggle('hidden', !currentHost);
+  if (!currentHost) return;
+
+  const mode = getSiteMode(currentHost);
+  const off = isCurrentSiteOff();
+  const label = off ? 'Off' : SITE_MODES[mode] || 'Default';
+  elements.siteModeText.textContent = `${currentHost}: ${label}`;
+  elements.siteToggleBtn.textContent = off ? 'Enable on this site' : 'Disable on this site';
+}
+
+/**
+ * Profile picker for the active tab's hostname — only worth showing with a choice
+ */
+function renderSiteProfile() {
+  const state = getProfiles();
+  elements.siteProfileInfo.classList.toggle('hidden', !currentHost || state.profiles.length < 2);
+  if (!currentHost) return;
+
+  const defaultProfile = state.profiles.find(profile => profile.id === state.defaultId);
+  elements.siteProfileSelect.innerHTML = '';
+  elements.siteProfileSelect.appendChild(new Option(`Default (${defaultProfile?.name || 'none'})`, ''));
+  state.profiles.forEach(profile => elements.siteProfileSelect.appendChild(new Option(profile.name, profile.id)));
+  elements.siteProfileSelect.value = findProfileRule(currentHost, state)?.profileId || '';
+}
+
+async function setSiteProfile() {
+  if (!currentHost) return;
+  try {
+    await saveProfiles(withSiteProfile(getProfiles(), currentHost, elements.siteProfileSelect.value || null));
+    renderSiteProfile();
+    showStatus('Profile set for this site', 'success');
+  } catch (error) {
+    console.error('Failed to set site profile:', error);
+    showStatus('Failed to set profile', 'error');
+  }
+}
+
+/**
+ * One-click on/off for the active tab's hostname
+ */
+async function toggleCurrentSite() {
+  if (!currentHost) return;
+
+  let rules;
+  if (isCurrentSiteOff()) {
+    // Drop our own 'off' rule first; force 'on' only if something broader still blocks it
+    rules = withSiteMode(getSiteRules(), currentHost, null);
+    const mode = getSiteMode(currentHost, rules);
+    if (mode ? mode === 'off' : isOverlayDisabled(currentHost)) {
+      rules = withSiteMode(rules, currentHost, 'on');
+    }
+  } else {
+    rules = withSiteMode(getSiteRules(), currentHost, 'off');
+  }
+
+  await applySiteRules(rules);
+  if (isCurrentSiteOff()) {
+    showStatus(`Disabled on ${currentHost}`, 'info');
+    showSiteDisabledState();
+  } else {
+    showStatus(`Enabled on ${currentHost}`, 'success');
+    if (extensionEnabled) await loadSuggestions();
+  }
+}
+
+/**
+ * Save rules and tell the active tab over the toggleExtension path so the
+ * change applies without a reload
+ */
+async function applySiteRules(rules) {
+  try {
+    await saveSiteRules(rules);
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    chrome.tabs.sendMessage(tab.id, {
+      action: 'toggleExtension',
+      data: { enabled: extensionEnabled, siteRulesChanged: true }
+    }).catch(() => {});
+  } catch (error) {
+    console.error('Failed to save site rules:', error);
+    showStatus('Failed to save site rules', 'error');
+  }
+  renderSiteInfo();
+  renderSiteRules();
+}
+
+function populateSiteModeOptions() {
+  elements.siteRuleMode.innerHTML = '';
+  createSiteModeSelect('on', elements.siteRuleMode);
+}
+
+/**
+ * Fill a <select> with the site modes (creates one when none is passed)
+ */
+function createSiteModeSelect(selected, select = document.createElement('select')) {
+  Object.entries(SITE_MODES).forEach(([mode, label]) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = selected;
+  return select;
+}
+
+function renderSiteRules() {
+  elements.siteRulesList.innerHTML = '';
+  getSiteRules().forEach(rule => {
+    const row = document.createElement('div');
+    row.className = 'site-rule';
+
+    const pattern = document.createElement('span');
+    pattern.className = 'site-rule-pattern';
+    pattern.textContent = rule.pattern;
+
+    const select = createSiteModeSelect(rule.mode);
+    select.addEventListener('change', () => applySiteRules(withSiteMode(getSiteRules(), rule.pattern, select.value)));
+
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-secondary';
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => applySiteRules(withSiteMode(getSiteRules(), rule.pattern, null)));
+
+    row.append(pattern, select, remove);
+    elements.siteRulesList.appendChild(row);
+  });
+}
+
+async function addSiteRule() {
+  const pattern = elements.siteRulePattern.value.trim();
+  if (!pattern) return;
+  await applySiteRules(withSiteMode(getSiteRules(), pattern, elements.siteRuleMode.value));
+  elements.siteRulePattern.value = '';
 }
 
 /**
@@ -300,7 +770,8 @@ async function toggleExtension() {
     
     if (extensionEnabled) {
       showStatus('Extension enabled', 'success');
-      await loadSuggestions();
+      if (isCurrentSiteOff()) showSiteDisabledState();
+      else await loadSuggestions();
     } else {
       showStatus('Extension disabled', 'info');
       showDisabledState();
@@ -372,10 +843,285 @@ function showStatus(message, type = 'info') {
 function populateSettings() {
   if (!currentConfig) return;
   
-  elements.modelSelect.value = currentConfig.model || 'llama-3.1-8b-instant';
+  elements.providerSelect.value = currentConfig.provider || DEFAULT_PROVIDER;
+  elements.providerBaseURLInput.value = currentConfig.providerBaseURL || '';
+  elements.providerAuthSchemeSelect.value = currentConfig.providerAuthScheme || 'bearer';
+  elements.providerAuthHeaderInput.value = currentConfig.providerAuthHeader || '';
+  elements.providerModelInput.value = currentConfig.providerModel || '';
+  updateProviderFields();
+
+  setModelOptions([], currentConfig.model || '');
+  elements.temperatureInput.value = currentConfig.temperature ?? GENERATION_LIMITS.temperature.default;
+  elements.maxTokensInput.value = currentConfig.maxTokens ?? GENERATION_LIMITS.maxTokens.default;
   elements.enableHistoryTracking.checked = currentConfig.enableHistoryTracking ?? true;
   elements.enableTabAnalysis.checked = currentConfig.enableTabAnalysis ?? true;
   elements.enableAiChatMode.checked = currentConfig.enableAiChatMode ?? true;
+  elements.enableStreaming.checked = currentConfig.enableStreaming ?? true;
+  elements.overlayStyleSelect.value = currentConfig.overlayStyle || 'card';
+  elements.overlayThemeSelect.value = currentConfig.overlayTheme || 'auto';
+  elements.triggerOnlyMode.checked = currentConfig.triggerMode === 'manual';
+  renderKeyBindings({ ...DEFAULT_KEY_BINDINGS, ...currentConfig.keyBindings });
+  renderGlobalShortcut();
+  elements.redactionPatterns.value = (currentConfig.redactionPatterns || []).join('\n');
+  elements.rateLimitPerMinute.value = currentConfig.rateLimitPerMinute ?? DEFAULT_LIMITS.minute;
+  elements.rateLimitPerHour.value = currentConfig.rateLimitPerHour ?? DEFAULT_LIMITS.hour;
+  elements.rateLimitPerDay.value = currentConfig.rateLimitPerDay ?? DEFAULT_LIMITS.day;
+}
+
+/**
+ * Fill the provider dropdown from the preset list
+ */
+function populateProviderOptions() {
+  elements.providerSelect.innerHTML = '';
+  Object.values(PROVIDERS).forEach(provider => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.label;
+    elements.providerSelect.appendChild(option);
+  });
+}
+
+/**
+ * Show only the fields the selected provider needs
+ */
+function updateProviderFields() {
+  const preset = getProviderPreset(elements.providerSelect.value);
+  const isCustom = preset.id === 'custom';
+  const authScheme = isCustom ? elements.providerAuthSchemeSelect.value : preset.authScheme;
+
+  elements.providerEndpointGroup.classList.toggle('hidden', preset.id !== 'ollama' && !isCustom);
+  elements.providerBaseURLInput.placeholder = preset.baseURL || 'https://gateway.example.com/v1';
+  elements.providerAuthGroup.classList.toggle('hidden', !isCustom);
+  elements.providerAuthHeaderInput.classList.toggle('hidden', authScheme !== 'header');
+  elements.providerModelGroup.classList.toggle('hidden', preset.id !== 'ollama' && !isCustom);
+  elements.providerModelInput.placeholder = preset.defaultModel || 'model-name';
+  elements.apiKeyInput.disabled = authScheme === 'none';
+  elements.apiKeyInput.placeholder = authScheme === 'none'
+    ? 'Not required'
+    : `${preset.keyPrefix || ''}...`;
+
+  elements.apiKeyHint.textContent = '';
+  if (preset.keyURL) {
+    const link = document.createElement('a');
+    link.href = preset.keyURL;
+    link.target = '_blank';
+    link.style.color = '#4A90E2';
+    link.textContent = preset.keyURL.replace(/^https:\/\//, '');
+    elements.apiKeyHint.append('Get a key at ', link);
+  } else if (authScheme === 'none') {
+    elements.apiKeyHint.textContent = 'No key needed for this endpoint';
+  } else {
+    elements.apiKeyHint.textContent = 'Key is sent using the authentication scheme above';
+  }
+}
+
+/**
+ * Open settings and refresh the model list for the saved provider
+ */
+function openSettings() {
+  showView('settings');
+  loadModels();
+  loadPolicy();
+}
+
+/**
+ * Load the sensitivity policy into the Privacy section
+ */
+async function loadPolicy() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSensitivityPolicy' });
+    if (!response?.success) return;
+    defaultPolicy = response.defaults;
+    populatePolicy(response.policy);
+  } catch (error) {
+    console.error('Failed to load privacy rules:', error);
+  }
+}
+
+function populatePolicy(policy) {
+  elements.policyFieldKeywords.value = policy.fieldKeywords.join('\n');
+  elements.policyExcludedUrls.value = policy.excludedUrlPatterns.join('\n');
+  elements.policyDisabledDomains.value = policy.overlayDisabledDomains.join('\n');
+}
+
+// ── Key bindings ─────────────────────────────────────────────────────────────
+
+/**
+ * One capture box per action: focus it and press the combo to bind.
+ * Saved (and checked for clashes) with the rest of the settings.
+ */
+function renderKeyBindings(bindings) {
+  elements.keyBindingsList.innerHTML = '';
+  Object.entries(KEY_ACTIONS).forEach(([action, label]) => {
+    const row = document.createElement('label');
+    row.className = 'key-binding';
+
+    const name = document.createElement('span');
+    name.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.readOnly = true;
+    input.dataset.action = action;
+    input.value = bindings[action] || '';
+    input.placeholder = 'Unbound';
+    input.addEventListener('keydown', (e) => {
+      const bare = !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey;
+      if (bare && (e.key === 'Backspace' || e.key === 'Delete')) {
+        e.preventDefault();
+        input.value = '';
+        return;
+      }
+      const combo = eventToCombo(e);
+      if (!combo) return;
+      e.preventDefault();
+      input.value = combo;
+    });
+
+    row.append(name, input);
+    elements.keyBindingsList.appendChild(row);
+  });
+}
+
+function readKeyBindings() {
+  const bindings = {};
+  elements.keyBindingsList.querySelectorAll('input[data-action]').forEach(input => {
+    bindings[input.dataset.action] = input.value;
+  });
+  return bindings;
+}
+
+async function renderGlobalShortcut() {
+  try {
+    const commands = await chrome.commands.getAll();
+    const shortcut = commands.find(command => command.name === 'suggest-now')?.shortcut;
+    elements.globalShortcutHint.textContent = shortcut
+      ? `Global "suggest now" shortcut: ${shortcut}.`
+      : 'No global "suggest now" shortcut is set.';
+  } catch (error) {
+    elements.globalShortcutHint.textContent = '';
+  }
+}
+
+/**
+ * One entry per line; blank lines are ignored
+ */
+function readPolicyInputs() {
+  const lines = (textarea) => textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+  return {
+    fieldKeywords: lines(elements.policyFieldKeywords),
+    excludedUrlPatterns: lines(elements.policyExcludedUrls),
+    overlayDisabledDomains: lines(elements.policyDisabledDomains)
+  };
+}
+
+/**
+ * Fetch the live model list for the provider currently selected in the form
+ */
+async function loadModels() {
+  const selected = elements.modelSelect.value;
+  const provider = elements.providerSelect.value;
+  const preset = getProviderPreset(provider);
+  const endpoint = getFormEndpoint();
+  // Without a live list, a model picked for another endpoint can't be trusted here
+  const fallback = endpoint === getEndpoint(currentConfig) ? selected : '';
+  elements.modelHint.textContent = 'Loading models…';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getAvailableModels',
+      data: {
+        provider: {
+          provider,
+          providerBaseURL: elements.providerBaseURLInput.value.trim(),
+          providerAuthScheme: elements.providerAuthSchemeSelect.value,
+          providerAuthHeader: elements.providerAuthHeaderInput.value.trim(),
+          providerModel: elements.providerModelInput.value.trim()
+        },
+        // The saved key is only used when these settings match the saved endpoint
+        apiKey: elements.apiKeyInput.value.trim()
+      }
+    });
+    if (!response?.success) throw new Error(response?.error || 'Model list unavailable');
+
+    liveModels = response.live ? { endpoint, models: response.models } : null;
+    // Keep the saved model only if it still belongs to this provider's list
+    const keep = response.live ? (response.models.includes(selected) ? selected : '') : fallback;
+    setModelOptions(response.models, keep);
+    elements.modelHint.textContent = response.live
+      ? `${response.models.length} models available from ${preset.label}`
+      : `Couldn't load the model list — using ${preset.label}'s default`;
+  } catch (error) {
+    console.error('Failed to load models:', error);
+    liveModels = null;
+    setModelOptions([], fallback);
+    elements.modelHint.textContent = `Couldn't load the model list — using ${preset.label}'s default`;
+  }
+}
+
+/**
+ * Provider plus effective base URL — what API keys and the model belong to
+ */
+function getEndpoint({ provider, providerBaseURL }) {
+  const usesEndpointFields = provider === 'ollama' || provider === 'custom';
+  return `${provider}|${(usesEndpointFields && providerBaseURL) || getProviderPreset(provider).baseURL || ''}`;
+}
+
+function getFormEndpoint() {
+  return getEndpoint({ provider: elements.providerSelect.value, providerBaseURL: elements.providerBaseURLInput.value.trim() });
+}
+
+/**
+ * The selected model, unless the endpoint changed and the new one hasn't
+ * listed it — then the provider default, rather than a name it doesn't have.
+ */
+function getModelToSave() {
+  const model = elements.modelSelect.value;
+  const endpoint = getFormEndpoint();
+  if (!model || endpoint === getEndpoint(currentConfig)) return model;
+  return liveModels?.endpoint === endpoint && liveModels.models.includes(model) ? model : '';
+}
+
+/**
+ * Rebuild the model dropdown; "" is always offered as the provider default
+ */
+function setModelOptions(models, selected) {
+  const values = new Set(models);
+  if (selected) values.add(selected);
+
+  elements.modelSelect.innerHTML = '';
+  const defaultOption = document.createElement('option');
+  defaultOption.value = '';
+  defaultOption.textContent = 'Provider default';
+  elements.modelSelect.appendChild(defaultOption);
+
+  values.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model;
+    option.textContent = model;
+    elements.modelSelect.appendChild(option);
+  });
+  elements.modelSelect.value = selected || '';
+}
+
+/**
+ * Read and validate temperature / max tokens
+ */
+function readGenerationInputs() {
+  const { temperature: tempLimits, maxTokens: tokenLimits } = GENERATION_LIMITS;
+
+  const temperature = Number(elements.temperatureInput.value);
+  if (elements.temperatureInput.value.trim() === '' || Number.isNaN(temperature) ||
+      temperature < tempLimits.min || temperature > tempLimits.max) {
+    throw new Error(`Temperature must be between ${tempLimits.min} and ${tempLimits.max}`);
+  }
+
+  const maxTokens = Number(elements.maxTokensInput.value);
+  if (!Number.isInteger(maxTokens) || maxTokens < tokenLimits.min || maxTokens > tokenLimits.max) {
+    throw new Error(`Max tokens must be a whole number between ${tokenLimits.min} and ${tokenLimits.max}`);
+  }
+
+  return { temperature, maxTokens };
 }
 
 /**
@@ -425,35 +1171,89 @@ async function saveSettings() {
   try {
     elements.saveSettingsBtn.disabled = true;
     elements.saveSettingsBtn.textContent = 'Saving...';
+
+    const rateLimits = readRateLimitInputs();
+    const generation = readGenerationInputs();
     
+    // Save provider first so the API key is validated against it
+    const provider = elements.providerSelect.value;
+    const usesEndpointFields = provider === 'ollama' || provider === 'custom';
+    // Read before the provider is saved — currentConfig still holds the old endpoint
+    const model = getModelToSave();
+    const providerResponse = await chrome.runtime.sendMessage({
+      action: 'updateConfig',
+      data: {
+        updates: {
+          provider,
+          providerBaseURL: usesEndpointFields ? elements.providerBaseURLInput.value.trim() : '',
+          providerAuthScheme: elements.providerAuthSchemeSelect.value,
+          providerAuthHeader: elements.providerAuthHeaderInput.value.trim(),
+          providerModel: usesEndpointFields ? elements.providerModelInput.value.trim() : ''
+        }
+      }
+    });
+    if (!providerResponse?.success) {
+      throw new Error(providerResponse?.error || 'Invalid provider settings');
+    }
+
     // Save API key if provided
     const apiKey = elements.apiKeyInput.value.trim();
     if (apiKey) {
-      await chrome.runtime.sendMessage({
+      const keyResponse = await chrome.runtime.sendMessage({
         action: 'setApiKey',
         data: { apiKey }
       });
+      if (!keyResponse?.success) {
+        throw new Error(keyResponse?.error || 'Invalid API key');
+      }
       elements.apiKeyInput.value = '';
     }
     
     // Save other settings
-    await chrome.runtime.sendMessage({
+    const configResponse = await chrome.runtime.sendMessage({
       action: 'updateConfig',
       data: {
         updates: {
-          model: elements.modelSelect.value,
+          model,
+          ...generation,
           enableHistoryTracking: elements.enableHistoryTracking.checked,
           enableTabAnalysis: elements.enableTabAnalysis.checked,
-          enableAiChatMode: elements.enableAiChatMode.checked
+          enableAiChatMode: elements.enableAiChatMode.checked,
+          enableStreaming: elements.enableStreaming.checked,
+          overlayStyle: elements.overlayStyleSelect.value,
+          overlayTheme: elements.overlayThemeSelect.value,
+          triggerMode: elements.triggerOnlyMode.checked ? 'manual' : 'auto',
+          keyBindings: readKeyBindings(),
+          redactionPatterns: elements.redactionPatterns.value.split('\n').map(line => line.trim()).filter(Boolean),
+          ...rateLimits
         }
       }
     });
+    if (!configResponse?.success) {
+      throw new Error(configResponse?.error || 'Invalid settings');
+    }
+
+    // Skip if the Privacy section never loaded — empty boxes would wipe the rules
+    if (defaultPolicy) {
+      const policyResponse = await chrome.runtime.sendMessage({
+        action: 'updateSensitivityPolicy',
+        data: { policy: readPolicyInputs() }
+      });
+      if (!policyResponse?.success) {
+        throw new Error(policyResponse?.error || 'Invalid privacy rules');
+      }
+    }
     
-    showStatus('Settings saved successfully', 'success');
     await loadConfig();
-    
+
     if (currentConfig.isConfigured) {
+      showStatus('Settings saved successfully', 'success');
       setTimeout(() => showView('main'), 1000);
+    } else if (!currentConfig.hasApiKey) {
+      // Keys are stored per provider and base URL — a switched endpoint starts without one
+      showStatus(`Settings saved — enter an API key for ${getProviderPreset(provider).label}`, 'error');
+    } else {
+      showStatus('Settings saved successfully', 'success');
     }
   } catch (error) {
     console.error('Failed to save settings:', error);
@@ -464,11 +1264,32 @@ async function saveSettings() {
   }
 }
 
+/**
+ * Read and validate the usage-limit inputs (non-negative whole numbers)
+ */
+function readRateLimitInputs() {
+  const fields = {
+    rateLimitPerMinute: ['per-minute', elements.rateLimitPerMinute],
+    rateLimitPerHour: ['per-hour', elements.rateLimitPerHour],
+    rateLimitPerDay: ['per-day', elements.rateLimitPerDay]
+  };
+
+  const limits = {};
+  for (const [key, [label, input]] of Object.entries(fields)) {
+    const value = Number(input.value);
+    if (input.value.trim() === '' || !Number.isInteger(value) || value < 0) {
+      throw new Error(`The ${label} limit must be a whole number of 0 or more`);
+    }
+    limits[key] = value;
+  }
+  return limits;
+}
+
 /**
  * Clear all data
  */
 async function clearData() {
-  if (!confirm('Are you sure you want to clear all data? This will remove your API key and settings.')) {
+  if (!confirm('Are you sure you want to clear all data? This will remove your API key, settings and the sent-prompt log.')) {
     return;
   }
   
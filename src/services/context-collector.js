@@ -1,27 +1,67 @@
 /**
  * Context Collector
  * Gathers browsing context from the current page and browser state
+ *
+ * Honours the privacy toggles: with Tab Analysis off no other tabs are read,
+ * and with History Tracking off chrome.history and stored searches are never
+ * touched. Every collected context carries `context_sources`, a record of
+ * which sources went in ('included'), came back empty ('empty') or were
+ * skipped by a setting ('disabled').
  */
 
+import configManager from '../config/config-manager.js';
+import { isExcludedUrl, isSensitiveText } from '../config/sensitivity-policy.js';
+
+// Rough token budget for AI-chat transcripts in the prompt (~4 chars per token)
+const CHAT_TRANSCRIPT_TOKEN_BUDGET = 350;
+const CHARS_PER_TOKEN = 4;
+// No single turn may take more than this, so one long answer can't crowd out the rest
+const CHAT_TURN_MAX_CHARS = 600;
+
 class ContextCollector {
   /**
    * Collect full context for suggestion generation
    */
   async collectContext() {
+    const useTabs = configManager.get('enableTabAnalysis', true);
+    const useHistory = configManager.get('enableHistoryTracking', true);
+
     const context = {
       current_page: await this.getCurrentPageContext(),
-      active_tabs: await this.getActiveTabsContext(),
+      active_tabs: useTabs ? await this.getActiveTabsContext() : [],
       active_input_text: await this.getActiveInputText(),
-      recent_history: await this.getRecentHistory(),
-      top_visited_titles: await this.getTopVisitedTitles(),
-      recent_ai_tabs: await this.getRecentAITabs(),
-      past_similar_searches: await this.getPastSimilarSearches(),
+      recent_history: useHistory ? await this.getRecentHistory() : [],
+      top_visited_titles: useHistory ? await this.getTopVisitedTitles() : [],
+      recent_ai_tabs: useHistory ? await this.getRecentAITabs() : [],
+      past_similar_searches: useHistory ? await this.getPastSimilarSearches() : [],
       page_type: await this.detectPageType()
     };
 
+    context.context_sources = {
+      current_page: context.current_page.title || context.current_page.url ? 'included' : 'empty',
+      ...this._sourceStatus(useTabs, { active_tabs: context.active_tabs }),
+      ...this._sourceStatus(useHistory, {
+        recent_history: context.recent_history,
+        top_visited_titles: context.top_visited_titles,
+        recent_ai_tabs: context.recent_ai_tabs,
+        past_similar_searches: context.past_similar_searches
+      })
+    };
+
     return context;
   }
 
+  /**
+   * Status of each source in one settings group: 'disabled', 'empty' or 'included'.
+   */
+  _sourceStatus(enabled, sources) {
+    const status = {};
+    for (const [name, items] of Object.entries(sources)) {
+      status[name] = !enabled ? 'disabled' : items.length > 0 ? 'included' : 'empty';
+    }
+    return status;
+  }
+
   /**
    * Get current page context (token optimized)
    */
@@ -39,12 +79,14 @@ class ContextCollector {
       return {
         title: pageInfo.title || tab.title || '',
         url: tab.url || '',
-        headings: (pageInfo.headings || []).slice(0, 3) // Only top 3 headings
+        headings: (pageInfo.headings || []).slice(0, 3), // Only top 3 headings
         // Removed summary and mainContent to save tokens
+        // Raw AI chat turns — budgeted by buildChatTranscript, redacted by piiRedactor before prompting
+        chatHistory: pageInfo.chatHistory || []
       };
     } catch (error) {
       console.error('Error getting current page context:', error);
-      return { title: '', url: '', headings: [] };
+      return { title: '', url: '', headings: [], chatHistory: [] };
     }
   }
 
@@ -60,11 +102,6 @@ class ContextCollector {
       console.log('🔍 Total tabs in window:', tabs.length);
       console.log('📍 Current active tab:', currentTab?.title);
       
-      const sensitiveDomains = [
-        'bank', 'login', 'signin', 'auth', 'payment',
-        'checkout', 'account', 'admin', 'dashboard'
-      ];
-
       const activeTabs = tabs
         .filter(tab => {
           // EXCLUDE the current active tab
@@ -73,8 +110,7 @@ class ContextCollector {
             return false;
           }
           
-          const url = tab.url?.toLowerCase() || '';
-          const isFiltered = sensitiveDomains.some(domain => url.includes(domain));
+          const isFiltered = isExcludedUrl(tab.url);
           if (isFiltered) {
             console.log('🚫 Filtered sensitive tab:', tab.title);
           }
@@ -134,6 +170,7 @@ class ContextCollector {
           const title = item.title?.toLowerCase() || '';
           return !url.includes('chrome://') && 
                  !url.includes('chrome-extension://') &&
+                 !isExcludedUrl(url) &&
                  title && 
                  title !== 'new tab' &&
                  title.length > 3;
@@ -170,6 +207,7 @@ class ContextCollector {
           const title = item.title?.toLowerCase() || '';
           return !url.includes('chrome://') && 
                  !url.includes('chrome-extension://') &&
+                 !isExcludedUrl(url) &&
                  title && 
                  title !== 'new tab' &&
                  title.length > 3 &&
@@ -196,7 +234,7 @@ class ContextCollector {
   async getRecentAITabs() {
     try {
       const aiDomains = [
-        'chat.openai.com', 'claude.ai', 'bard.google.com',
+        'chat.openai.com', 'chatgpt.com', 'claude.ai', 'bard.google.com',
         'copilot.microsoft.com', 'perplexity.ai', 'gemini.google.com',
         'poe.com', 'huggingface.co/chat'
       ];
@@ -211,7 +249,7 @@ class ContextCollector {
       const aiTabs = history
         .filter(item => {
           const url = item.url?.toLowerCase() || '';
-          return aiDomains.some(domain => url.includes(domain));
+          return aiDomains.some(domain => url.includes(domain)) && !isExcludedUrl(url);
         })
         .slice(0, 3) // Reduced to 3 for token efficiency
         .map(item => ({
@@ -232,7 +270,7 @@ class ContextCollector {
    */
   detectAIPlatform(url) {
     const urlLower = url.toLowerCase();
-    if (urlLower.includes('chat.openai.com')) return 'ChatGPT';
+    if (urlLower.includes('chat.openai.com') || urlLower.includes('chatgpt.com')) return 'ChatGPT';
     if (urlLower.includes('claude.ai')) return 'Claude';
     if (urlLower.includes('bard.google.com') || urlLower.includes('gemini.google.com')) return 'Gemini';
     if (urlLower.includes('copilot.microsoft.com')) return 'Copilot';
@@ -264,8 +302,8 @@ class ContextCollector {
       const title = tab.title?.toLowerCase() || '';
 
       const aiChatDomains = [
-        'chat.openai.com', 'claude.ai', 'bard.google.com',
-        'copilot.microsoft.com', 'perplexity.ai'
+        'chat.openai.com', 'chatgpt.com', 'claude.ai', 'bard.google.com',
+        'gemini.google.com', 'copilot.microsoft.com', 'perplexity.ai'
       ];
 
       if (aiChatDomains.some(domain => url.includes(domain))) {
@@ -292,21 +330,40 @@ class ContextCollector {
   }
 
   /**
-   * Check if input is sensitive
+   * Trim AI chat turns to the token budget (newest turns win). PII is masked
+   * later by the redaction stage, together with the rest of the context.
+   * @param {{role: string, text: string}[]} chatHistory - oldest first
+   * @returns {{role: string, text: string}[]} oldest first
+   */
+  buildChatTranscript(chatHistory, tokenBudget = CHAT_TRANSCRIPT_TOKEN_BUDGET) {
+    if (!Array.isArray(chatHistory) || chatHistory.length === 0) return [];
+
+    let remaining = tokenBudget * CHARS_PER_TOKEN;
+    const transcript = [];
+
+    for (let i = chatHistory.length - 1; i >= 0 && remaining > 40; i--) {
+      const turn = chatHistory[i];
+      const raw = typeof turn === 'string' ? turn : turn?.text;
+      if (!raw) continue;
+
+      let text = raw.replace(/\s+/g, ' ').trim();
+      // Long answers: the end usually holds the conclusion the user is reacting to.
+      // Cut on a word boundary so no half-email or half-key survives the trim.
+      const limit = Math.min(remaining, CHAT_TURN_MAX_CHARS);
+      if (text.length > limit) text = `…${text.slice(-(limit - 1)).replace(/^\S*\s/, '')}`;
+
+      transcript.unshift({ role: turn?.role === 'user' ? 'user' : 'assistant', text });
+      remaining -= text.length;
+    }
+
+    return transcript;
+  }
+
+  /**
+   * Check if input is sensitive (keywords from the shared sensitivity policy)
    */
   isSensitiveInput(text, fieldName) {
-    const sensitivePatterns = [
-      /password/i, /passwd/i, /pwd/i,
-      /credit[_\s-]?card/i, /cc[_\s-]?number/i,
-      /ssn/i, /social[_\s-]?security/i,
-      /bank[_\s-]?account/i, /account[_\s-]?number/i,
-      /cvv/i, /cvc/i, /pin/i,
-      /api[_\s-]?key/i, /token/i,
-      /email/i, /e-mail/i
-    ];
-
-    const combinedText = `${text} ${fieldName}`.toLowerCase();
-    return sensitivePatterns.some(pattern => pattern.test(combinedText));
+    return isSensitiveText(`${text || ''} ${fieldName || ''}`);
   }
 }
 
@@ -0,0 +1,182 @@
+/**
+ * Feedback Store
+ * Records what happened to each suggestion the user saw — accepted, cycled
+ * past, or dismissed — and turns that into personalization: a ranking boost
+ * for the source slot (Session / Context / Smart) the user picks most, and
+ * few-shot examples of their accepted completions for the prompt.
+ *
+ * Storage key: 'suggestionFeedback' in chrome.storage.local (wiped by Clear All Data)
+ * Shape: {
+ *   events: [{ type, query, suggestion, source, pageType, position, surface, timestamp }],  — newest first
+ *   totals: { [pageType]: { [source]: { accepted, cycled, dismissed } } }
+ * }
+ *
+ * type:    'accepted' | 'cycled' | 'dismissed'
+ * source:  'session' | 'context' | 'smart' | 'form_fill' | 'other' (from the derivation label)
+ * surface: 'overlay' | 'popup' | 'sidebar'
+ *
+ * Totals are kept separately from the capped event list, so a burst of
+ * cycling can't push older accepts out of the ranking.
+ *
+ * Public API (all async):
+ *   record(event)                          → void
+ *   rankSuggestions(suggestions, pageType) → suggestions, best-accepted source first
+ *   rankSources(sources, pageType)         → indices into sources, best-accepted first
+ *   getAcceptedExamples(pageType, limit)   → [{ query, suggestion }]
+ *   clear()                                → void
+ */
+
+export const FEEDBACK_TYPES = ['accepted', 'cycled', 'dismissed'];
+export const FEEDBACK_SURFACES = ['overlay', 'popup', 'sidebar'];
+
+/**
+ * Source slot of a suggestion, from the label GroqService puts on its derivation.
+ */
+export function getSuggestionSource(derivation = '') {
+  const text = String(derivation || '');
+  if (/^auto-filled from/i.test(text)) return 'form_fill';
+  const match = text.match(/^(Session|Context|Smart)\b/i);
+  return match ? match[1].toLowerCase() : 'other';
+}
+
+class FeedbackStore {
+  constructor() {
+    this.STORAGE_KEY = 'suggestionFeedback';
+    this.MAX_EVENTS = 200;
+    // Below this many events for a page type, rank with the totals across all pages
+    this.MIN_PAGE_EVENTS = 5;
+    this.data = null;
+  }
+
+  // ── Public API ──────────────────────────────────────────────────────────────
+
+  async record(event) {
+    if (!FEEDBACK_TYPES.includes(event?.type)) return;
+    try {
+      const data = await this._load();
+      const entry = {
+        type: event.type,
+        query: String(event.query || '').slice(0, 200),
+        suggestion: String(event.suggestion || '').slice(0, 200),
+        source: getSuggestionSource(event.derivation),
+        pageType: event.pageType || 'general',
+        position: Number.isInteger(event.position) ? event.position : null,
+        surface: FEEDBACK_SURFACES.includes(event.surface) ? event.surface : 'overlay',
+        timestamp: Date.now()
+      };
+
+      data.events = [entry, ...data.events].slice(0, this.MAX_EVENTS);
+      const pageTotals = data.totals[entry.pageType] ||= {};
+      const counts = pageTotals[entry.source] ||= { accepted: 0, cycled: 0, dismissed: 0 };
+      counts[entry.type]++;
+
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: data });
+    } catch (error) {
+      console.error('FeedbackStore.record error:', error);
+    }
+  }
+
+  /**
+   * Stable sort by how often each source slot gets accepted (smoothed, so a
+   * source with no history sits in the middle). Order is untouched until
+   * there is any feedback.
+   */
+  async rankSuggestions(suggestions, pageType = 'general') {
+    if (!Array.isArray(suggestions) || suggestions.length < 2) return suggestions;
+    const order = await this.rankSources(suggestions.map(s => getSuggestionSource(s.derivation)), pageType);
+    return order.map(index => suggestions[index]);
+  }
+
+  /**
+   * The same ranking for bare source slots, so the streaming path can know the
+   * final order before any suggestion exists.
+   * @param {string[]} sources - e.g. ['session', 'context', 'smart']
+   * @returns {number[]} indices into sources, best first
+   */
+  async rankSources(sources, pageType = 'general') {
+    const order = sources.map((_, index) => index);
+    try {
+      const totals = this._totalsFor(await this._load(), pageType);
+      if (!totals) return order;
+
+      const score = (source) => {
+        const { accepted = 0, cycled = 0, dismissed = 0 } = totals[source] || {};
+        return (accepted + 1) / (accepted + cycled + dismissed + 2);
+      };
+      return order
+        .map(index => ({ index, score: score(sources[index]) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(entry => entry.index);
+    } catch (error) {
+      console.error('FeedbackStore.rankSources error:', error);
+      return order;
+    }
+  }
+
+  /**
+   * Recent accepted completions on this page type, for few-shot prompting.
+   * Only ones that actually changed the text are useful.
+   */
+  async getAcceptedExamples(pageType = 'general', limit = 3) {
+    try {
+      const { events } = await this._load();
+      const seen = new Set();
+      return events
+        .filter(event => event.type === 'accepted' && event.pageType === pageType)
+        .filter(event => event.query && event.suggestion && event.query !== event.suggestion)
+        .filter(event => !seen.has(event.suggestion) && seen.add(event.suggestion))
+        .slice(0, limit)
+        .map(({ query, suggestion }) => ({ query, suggestion }));
+    } catch (error) {
+      console.error('FeedbackStore.getAcceptedExamples error:', error);
+      return [];
+    }
+  }
+
+  async clear() {
+    this.data = null;
+    try {
+      await chrome.storage.local.remove(this.STORAGE_KEY);
+    } catch (error) {
+      console.error('FeedbackStore.clear error:', error);
+    }
+  }
+
+  // ── Private helpers ─────────────────────────────────────────────────────────
+
+  async _load() {
+    if (!this.data) {
+      const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+      this.data = {
+        events: stored[this.STORAGE_KEY]?.events || [],
+        totals: stored[this.STORAGE_KEY]?.totals || {}
+      };
+    }
+    return this.data;
+  }
+
+  /**
+   * Per-source counts for the page type, or across all page types when it
+   * has too little history; null when there is no feedback at all.
+   */
+  _totalsFor(data, pageType) {
+    const count = (totals) => Object.values(totals || {})
+      .reduce((sum, c) => sum + c.accepted + c.cycled + c.dismissed, 0);
+
+    if (count(data.totals[pageType]) >= this.MIN_PAGE_EVENTS) return data.totals[pageType];
+
+    const merged = {};
+    for (const pageTotals of Object.values(data.totals)) {
+      for (const [source, counts] of Object.entries(pageTotals)) {
+        const target = merged[source] ||= { accepted: 0, cycled: 0, dismissed: 0 };
+        target.accepted += counts.accepted;
+        target.cycled += counts.cycled;
+        target.dismissed += counts.dismissed;
+      }
+    }
+    return count(merged) > 0 ? merged : null;
+  }
+}
+
+const feedbackStore = new FeedbackStore();
+export default feedbackStore;
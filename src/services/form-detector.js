@@ -1,144 +1,66 @@
 /**
  * Form Field Detector
- * Identifies what kind of form field the user is typing in,
- * then assembles smart pre-fill suggestions from available context
- * (open tabs, page content, stored profile hints).
+ * Identifies what kind of form field the user is typing in (with the
+ * classifier the content script shares, utils/field-classifier.js),
+ * then assembles smart pre-fill suggestions from available context:
+ * the user's profile for this site first, then open tabs, page content and the device.
  *
- * Never touches: password, credit card, CVV, SSN, PIN, bank, auth, OTP.
+ * Never touches fields the shared sensitivity policy marks as sensitive
+ * (password, credit card, CVV, SSN, PIN, bank, auth, OTP, email, ...).
  */
 
-class FormDetector {
-  _isSpokenLanguageField(combined) {
-    const explicitPatterns = [
-      'preferred language',
-      'spoken language',
-      'native language',
-      'language preference',
-      'mother tongue',
-      'languages spoken',
-      'preferred_language',
-      'spoken_language',
-      'native_language',
-      'language_preference',
-      'mother_tongue',
-      'languages_spoken'
-    ];
-
-    if (explicitPatterns.some(pattern => combined.includes(pattern))) {
-      return true;
-    }
-
-    if (!/(^|[\W_])(language|languages)([\W_]|$)/.test(combined)) {
-      return false;
-    }
-
-    const technicalPatterns = [
-      'coding language',
-      'programming language',
-      'query language',
-      'language style',
-      'primary language',
-      'secondary language',
-      'source language',
-      'target language',
-      'language code',
-      'coding_language',
-      'programming_language',
-      'query_language',
-      'language_style',
-      'primary_language',
-      'secondary_language',
-      'source_language',
-      'target_language',
-      'language_code',
-      'locale'
-    ];
-
-    return !technicalPatterns.some(pattern => combined.includes(pattern));
-  }
+import { isSensitiveField } from '../config/sensitivity-policy.js';
+import { getProfileValue, resolveProfile } from '../config/user-profile.js';
+import { classifyField } from '../utils/field-classifier.js';
 
+class FormDetector {
   /**
    * Analyse a focused input element and return field metadata + smart fill candidates.
    * Returns null when the field is sensitive or unrecognisable.
    *
-   * @param {Object} fieldMeta  - {name, id, placeholder, autocomplete, label, type, pageUrl, pageTitle}
+   * @param {Object} fieldMeta  - classifier signals ({name, id, placeholder, autocomplete,
+   *   label, ariaLabel, legend, type}) plus pageUrl and pageTitle
    * @param {Object[]} openTabs - Array of {title, url} from context-collector
    * @param {string|null} preClassifiedType - fieldType already determined by content-script (skip re-classification)
    * @returns {Object|null}
    */
   analyzeField(fieldMeta, openTabs = [], preClassifiedType = null) {
-    const fieldType = preClassifiedType || this._classifyField(fieldMeta);
-    if (!fieldType || fieldType === 'sensitive') return null;
+    const classification = preClassifiedType ? { type: preClassifiedType } : this._classifyField(fieldMeta);
+    if (!classification) return null;
 
+    const fieldType = classification.type;
     const candidates = this._buildCandidates(fieldType, fieldMeta, openTabs);
 
     return {
       fieldType,
-      fieldLabel: fieldMeta.label || fieldMeta.placeholder || fieldMeta.name || fieldMeta.id || 'field',
+      fieldConfidence: classification.confidence ?? null,
+      fieldLabel: fieldMeta.label || fieldMeta.ariaLabel || fieldMeta.placeholder || fieldMeta.name || fieldMeta.id || 'field',
       candidates,          // [{value, source, confidence}]
       isFormFill: candidates.length > 0
     };
   }
 
   /**
-   * Classify the field into a semantic category.
+   * Classify the field with the shared classifier — never a sensitive one.
+   * @returns {{type: string, confidence: number, matched: string[]} | null}
    */
   _classifyField(meta) {
-    const combined = [
-      meta.name, meta.id, meta.placeholder,
-      meta.autocomplete, meta.label, meta.type
-    ].join(' ').toLowerCase();
-
-    // ── Sensitive (never touch) ─────────────────────────────────────────────
-    const sensitive = [
-      'password', 'passwd', 'pwd', 'credit', 'card', 'cvv', 'cvc',
-      'ssn', 'social security', 'bank', 'pin', 'otp', 'auth', 'token',
-      'verification code', 'secret'
-    ];
-    if (sensitive.some(k => combined.includes(k))) return 'sensitive';
-    if (meta.type === 'password' || meta.type === 'tel') return 'sensitive';
-
-    // ── Identity ────────────────────────────────────────────────────────────
-    if (/(^|\W)(first[_\s-]?name|fname|given[_\s-]?name)(\W|$)/.test(combined)) return 'first_name';
-    if (/(^|\W)(last[_\s-]?name|lname|family[_\s-]?name|surname)(\W|$)/.test(combined)) return 'last_name';
-    if (/(^|\W)(full[_\s-]?name|your[_\s-]?name|name)(\W|$)/.test(combined)) return 'full_name';
-    if (/(email|e-mail|mail)/.test(combined)) return 'sensitive';
-
-    // ── Professional ────────────────────────────────────────────────────────
-    if (/(job[_\s-]?title|position|role|designation|occupation)/.test(combined)) return 'job_title';
-    if (/(company|employer|organisation|organization|workplace|firm)/.test(combined)) return 'company';
-    if (/(linkedin|linked.in)/.test(combined)) return 'linkedin_url';
-    if (/(github|git[_\s-]hub)/.test(combined)) return 'github_url';
-    if (/(website|portfolio|personal[_\s-]?site|homepage|url|link)/.test(combined)) return 'website';
-    if (/(years[_\s]?of[_\s]?exp|experience[_\s]?years|yoe)/.test(combined)) return 'experience_years';
-    if (this._isSpokenLanguageField(combined)) return 'languages';
-    if (/(pronouns?|preferred[_\s-]?pronouns?)/.test(combined)) return 'pronouns';
-    if (/(education|education[_\s-]?level|highest[_\s-]?education|degree|qualification|academic[_\s-]?level)/.test(combined)) return 'education';
-    if (/(skill|expertise|technology|tech[_\s]?stack|tools)/.test(combined)) return 'skills';
-   
-    // ── Support / bug report ─────────────────────────────────────────────────
-    if (/(os|operating[_\s]?system|platform)/.test(combined)) return 'os';
-    if (/(browser|user[_\s]?agent)/.test(combined)) return 'browser';
-    if (/(version|app[_\s]?version|software[_\s]?version)/.test(combined)) return 'version';
-    if (/(subject|issue[_\s]?title|ticket[_\s]?title|summary)/.test(combined)) return 'issue_subject';
-    if (/(description|details|body|message|explain|steps)/.test(combined)) return 'issue_description';
-
-    // ── Location ────────────────────────────────────────────────────────────
-    if (/(city|town|municipality)/.test(combined)) return 'city';
-    if (/(country)/.test(combined)) return 'country';
-    if (/(zip|postal|postcode)/.test(combined)) return 'zip';
-    if (/(^|\W)(timezone|time[_\s-]?zone|\btz\b)|_tz$/.test(combined)) return 'timezone';
-
-    // ── Search / generic ────────────────────────────────────────────────────
-    if (meta.type === 'search' || /(search|query|q)/.test(combined)) return 'search';
-
-    return null; // unrecognised — fall back to normal suggestions
+    if (isSensitiveField(meta)) return null;
+    return classifyField(meta);
   }
 
   /**
    * Build fill candidates for a given field type, drawing from available signals.
    */
   _buildCandidates(fieldType, meta, openTabs) {
+    // ── Profile: what the user saved beats anything guessed from tabs ───────
+    // (the site's profile rule, else the default profile)
+    const profile = resolveProfile(meta.pageUrl);
+    const profileValue = getProfileValue(fieldType, profile);
+    if (profileValue) {
+      return [{ value: profileValue, source: `${profile.name} profile`, confidence: 0.98, fromProfile: true }];
+    }
+
     const candidates = [];
 
     switch (fieldType) {
@@ -2,54 +2,175 @@
  * Enhanced Groq API Service
  * + Session Intent Tracking in prompt
  * + Smart Form-Fill mode
+ * + Pluggable OpenAI-compatible provider (see llm-provider.js)
+ * + SSE streaming with incremental suggestion parsing
+ * + Per-request AbortController so superseded keystrokes cancel their fetch
+ * + Per-page-type prompt strategies (see prompt-strategies.js)
+ * + Every outbound prompt recorded for the popup inspector (see prompt-log.js)
+ *   (the context arrives already PII-redacted — see pii-redactor.js)
  */
 
 import configManager from '../config/config-manager.js';
+import { createProvider } from './llm-provider.js';
+import { getPromptStrategy, selectPromptStrategy } from './prompt-strategies.js';
+import promptLog from './prompt-log.js';
+
+// Source label of each suggestion, by position in the model's answer
+export const SOURCE_SLOTS = ['Session', 'Context', 'Smart'];
 
 class GroqService {
   constructor() {
-    this.baseURL = 'https://api.groq.com/openai/v1';
+    // Fallback when the selected provider has no default model
     this.model = 'llama-3.1-8b-instant';
+    // requestKey → AbortController for every in-flight generation
+    this.inFlight = new Map();
+  }
+
+  // ─── Cancellation ──────────────────────────────────────────────────────────
+
+  /**
+   * Register a request so cancel() can abort its fetch. Re-using a key aborts
+   * the previous request under that key.
+   * @returns {AbortController}
+   */
+  beginRequest(requestKey) {
+    this.cancel(requestKey);
+    const controller = new AbortController();
+    this.inFlight.set(requestKey, controller);
+    return controller;
+  }
+
+  endRequest(requestKey, controller) {
+    if (this.inFlight.get(requestKey) === controller) {
+      this.inFlight.delete(requestKey);
+    }
   }
 
-  async generateSuggestions(context) {
+  /**
+   * Abort an in-flight request. Returns true if something was cancelled.
+   */
+  cancel(requestKey) {
+    const controller = this.inFlight.get(requestKey);
+    if (!controller) return false;
+    controller.abort();
+    this.inFlight.delete(requestKey);
+    return true;
+  }
+
+  _getModel(provider) {
+    return configManager.get('model') || provider.defaultModel || this.model;
+  }
+
+  /**
+   * Sampling settings from ConfigManager (validated on save).
+   */
+  _getGenerationParams() {
+    return {
+      temperature: configManager.get('temperature', 0.4),
+      max_tokens: configManager.get('maxTokens', 200)
+    };
+  }
+
+  /**
+   * @param {Object} context
+   * @param {Object} [options]
+   * @param {Function} [options.onSuggestion] - (suggestion, index) called as each streamed suggestion completes
+   * @param {AbortSignal} [options.signal] - aborts the network request (see beginRequest)
+   */
+  async generateSuggestions(context, options = {}) {
+    let sent = null;
     try {
       const apiKey = configManager.getApiKey();
 
       // ── Form-fill mode:
-      const skipAiTypes = new Set(['os', 'browser', 'linkedin_url', 'github_url', 'version']);
-      const hasReadyCandidates =
-        context.fieldMeta?.candidates?.length > 0 &&
-        (skipAiTypes.has(context.fieldMeta.fieldType) ||
-          context.fieldMeta.candidates.every(c => c.confidence >= 0.9));
-
-      if (hasReadyCandidates) {
+      if (!this.needsApiCall(context)) {
         return this._buildFormFillResponse(context.fieldMeta);
       }
 
       // ── Form field detected but needs AI to generate/augment suggestions ───
+      // Otherwise the page type picks the prompt strategy
+      const strategy = selectPromptStrategy(context, {
+        aiChatMode: configManager.get('enableAiChatMode', true)
+      });
+
       const prompt = context.fieldMeta?.fieldType
         ? this.buildFormFieldPrompt(context)
-        : this.buildContextAwarePrompt(context);
+        : this.buildContextAwarePrompt(context, strategy);
 
       const systemPrompt = context.fieldMeta?.fieldType
         ? this.getFormFillSystemPrompt()
-        : this.getContextAwareSystemPrompt();
+        : this.getContextAwareSystemPrompt(strategy);
 
       console.log('Generating for:', context.active_input_text);
       console.log('Session intent:', context.sessionIntent?.sessionSummary || 'none');
       console.log('Form field:', context.fieldMeta?.fieldType || 'none');
 
-      const result = await this.callWithRetry(apiKey, prompt, systemPrompt);
+      const provider = configManager.getProvider();
+      sent = {
+        provider: provider.label,
+        model: this._getModel(provider),
+        strategy: context.fieldMeta?.fieldType ? 'form_fill' : strategy.id,
+        pageType: context.page_type || 'general',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: prompt }
+        ],
+        contextSources: context.context_sources || null,
+        redactions: context.redactions || null,
+        startedAt: Date.now()
+      };
+
+      const { usage, ...result } = options.onSuggestion && configManager.get('enableStreaming', true)
+        ? await this.streamWithRetry(apiKey, prompt, systemPrompt, { onSuggestion: options.onSuggestion, signal: options.signal })
+        : await this.callWithRetry(apiKey, prompt, systemPrompt, { signal: options.signal });
+
+      await this._logPrompt(sent, { status: 'ok', usage, suggestions: result.suggestions });
+      // usage is for the service worker's local stats — it strips it before caching
       return context.fieldMeta?.fieldType
-        ? { ...result, isFormFill: true }
-        : result;
+        ? { ...result, usage, isFormFill: true }
+        : { ...result, usage };
     } catch (error) {
+      if (error.name === 'AbortError') {
+        await this._logPrompt(sent, { status: 'cancelled' });
+        return { reason: 'Cancelled', suggestions: [], cancelled: true };
+      }
       console.error('Groq API error:', error);
+      await this._logPrompt(sent, { status: 'error', error: error.message });
       return { reason: 'Error generating suggestions', suggestions: [], error: error.message };
     }
   }
 
+  /**
+   * Record a prompt for the inspector — only once it has actually been built
+   * and handed to the provider (sent is null for local form-fill answers).
+   */
+  async _logPrompt(sent, outcome) {
+    if (!sent) return;
+    const { startedAt, ...request } = sent;
+    await promptLog.record({
+      ...request,
+      usage: null,
+      suggestions: [],
+      error: null,
+      ...outcome,
+      latencyMs: Date.now() - startedAt
+    });
+  }
+
+  /**
+   * False when local form-fill candidates are good enough to answer without
+   * the provider — the service worker uses this to skip the rate-limit budget.
+   */
+  needsApiCall(context) {
+    const skipAiTypes = new Set(['os', 'browser', 'linkedin_url', 'github_url', 'version']);
+    const hasReadyCandidates =
+      context.fieldMeta?.candidates?.length > 0 &&
+      (skipAiTypes.has(context.fieldMeta.fieldType) ||
+        context.fieldMeta.candidates.some(c => c.fromProfile) ||
+        context.fieldMeta.candidates.every(c => c.confidence >= 0.9));
+    return !hasReadyCandidates;
+  }
+
   /**
    * Build a form-fill response directly from local candidates (no API call needed)
    */
@@ -66,82 +187,187 @@ class GroqService {
     };
   }
 
-  async callWithRetry(apiKey, prompt, systemPrompt, attempt = 0) {
-    const response = await fetch(`${this.baseURL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: this.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.4,
-        max_tokens: 200,
-        top_p: 0.9
-      })
-    });
+  async callWithRetry(apiKey, prompt, systemPrompt, { signal, attempt = 0 } = {}) {
+    const provider = configManager.getProvider();
+    const response = await provider.chatCompletion(apiKey, {
+      model: this._getModel(provider),
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ],
+      ...this._getGenerationParams(),
+      top_p: 0.9
+    }, { signal });
 
     if (response.status === 429 && attempt === 0) {
       const retryAfter = parseFloat(response.headers.get('retry-after') || '2');
       console.warn(`Rate limited, retrying in ${retryAfter}s...`);
-      await new Promise(r => setTimeout(r, retryAfter * 1000));
-      return this.callWithRetry(apiKey, prompt, systemPrompt, 1);
+      await this._wait(retryAfter * 1000, signal);
+      return this.callWithRetry(apiKey, prompt, systemPrompt, { signal, attempt: 1 });
     }
 
     if (!response.ok) {
-      const error = await response.json();
+      const error = await response.json().catch(() => ({}));
       throw new Error(error.error?.message || `API Error: ${response.status}`);
     }
 
     const data = await response.json();
     const content = data.choices?.[0]?.message?.content;
-    if (!content) throw new Error('No response content from Groq');
+    if (!content) throw new Error(`No response content from ${provider.label}`);
 
-    return this.parseResponse(content);
+    return { ...this.parseResponse(content), usage: data.usage || null };
   }
 
-  // ─── Prompt builders ───────────────────────────────────────────────────────
-
   /**
-   * Standard context-aware prompt — now includes session intent thread.
+   * Same request as callWithRetry but with stream:true. Reads the SSE body,
+   * accumulates delta content and emits each suggestion object as soon as its
+   * closing brace arrives. The final return value is the full parseResponse()
+   * plus the token usage, when the server reports it.
    */
-  buildContextAwarePrompt(context) {
-    const input = context.active_input_text || '';
-    const parts = [`Q:"${input}"`];
+  async streamWithRetry(apiKey, prompt, systemPrompt, { onSuggestion, signal, attempt = 0 } = {}) {
+    const provider = configManager.getProvider();
+    const response = await provider.chatCompletion(apiKey, {
+      model: this._getModel(provider),
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ],
+      ...this._getGenerationParams(),
+      top_p: 0.9,
+      stream: true
+    }, { signal });
 
-    // Session intent (the researching thread) — highest signal
-    if (context.sessionIntent?.sessionSummary) {
-      parts.push(`SESSION:${context.sessionIntent.sessionSummary}`);
+    if (response.status === 429 && attempt === 0) {
+      const retryAfter = parseFloat(response.headers.get('retry-after') || '2');
+      console.warn(`Rate limited, retrying in ${retryAfter}s...`);
+      await this._wait(retryAfter * 1000, signal);
+      return this.streamWithRetry(apiKey, prompt, systemPrompt, { onSuggestion, signal, attempt: 1 });
     }
-    if (context.sessionIntent?.recentThread) {
-      // Truncate to keep tokens tight
-      const thread = context.sessionIntent.recentThread.slice(0, 120);
-      parts.push(`THREAD:${thread}`);
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error?.message || `API Error: ${response.status}`);
     }
 
-    // Other tabs — 2 max
-    if (context.active_tabs?.length > 0) {
-      const tabs = context.active_tabs
-        .slice(0, 2)
-        .map(t => `"${t.title.slice(0, 40)}"`)
-        .join(', ');
-      parts.push(`TABS:${tabs}`);
+    // Some OpenAI-compatible servers ignore stream:true — fall back to a plain body
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.body || !contentType.includes('text/event-stream')) {
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (!content) throw new Error(`No response content from ${provider.label}`);
+      return { ...this.parseResponse(content), usage: data.usage || null };
     }
 
-    // Recent history — 2 max
-    if (context.recent_history?.length > 0) {
-      const hist = context.recent_history
-        .slice(0, 2)
-        .map(t => `"${t.title.slice(0, 40)}"`)
-        .join(', ');
-      parts.push(`HIST:${hist}`);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    let emitted = 0;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const payload = trimmed.slice(5).trim();
+        if (!payload || payload === '[DONE]') continue;
+        try {
+          const chunk = JSON.parse(payload);
+          content += chunk.choices?.[0]?.delta?.content || '';
+          // Usage arrives on the final chunk (Groq nests it under x_groq)
+          usage = chunk.usage || chunk.x_groq?.usage || usage;
+        } catch (e) { /* keep-alive or non-JSON event */ }
+      }
+
+      const completed = this.extractStreamedSuggestions(content);
+      while (emitted < completed.length) {
+        try {
+          onSuggestion(completed[emitted], emitted);
+        } catch (e) {
+          console.warn('onSuggestion handler failed:', e.message);
+        }
+        emitted++;
+      }
     }
 
-    return parts.join('\n');
+    if (!content) throw new Error(`No response content from ${provider.label}`);
+    return { ...this.parseResponse(content), usage };
+  }
+
+  /**
+   * setTimeout that rejects with an AbortError if the signal fires first.
+   */
+  _wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Pull every fully-closed object out of the (possibly truncated)
+   * "suggestions":[ ... ] array. Validation and Session/Context/Smart labelling
+   * are the same as parseResponse, so a streamed suggestion never changes once sent.
+   */
+  extractStreamedSuggestions(content) {
+    const match = content.match(/"suggestions"\s*:\s*\[/);
+    if (!match) return [];
+
+    const objects = [];
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let objectStart = -1;
+
+    for (let i = match.index + match[0].length; i < content.length; i++) {
+      const ch = content[i];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '{') {
+        if (depth === 0) objectStart = i;
+        depth++;
+      } else if (ch === '}') {
+        depth--;
+        if (depth === 0 && objectStart !== -1) {
+          try {
+            objects.push(JSON.parse(content.slice(objectStart, i + 1)));
+          } catch (e) { /* malformed object — parseResponse will decide */ }
+          objectStart = -1;
+        }
+      } else if (ch === ']' && depth === 0) {
+        break;
+      }
+    }
+
+    return this.validateSuggestionOrdering(this.validateSuggestions(objects));
+  }
+
+  // ─── Prompt builders ───────────────────────────────────────────────────────
+
+  /**
+   * Standard context-aware prompt — sections chosen by the page-type strategy.
+   */
+  buildContextAwarePrompt(context, strategy = selectPromptStrategy(context)) {
+    return strategy.buildPrompt(context);
   }
 
   /**
@@ -186,19 +412,8 @@ class GroqService {
 
   // ─── System prompts ────────────────────────────────────────────────────────
 
-  getContextAwareSystemPrompt() {
-    return `Autocomplete assistant. Complete the user's query into a full natural question or search phrase using context from their session research thread (SESSION, THREAD), open tabs (TABS) and history (HIST).
-
-Rules:
-- Output ONLY valid JSON, no markdown
-- If SESSION/THREAD present: suggestion[0] should continue or deepen that research thread
-- suggestion[1] from TABS or HIST context
-- suggestion[2] flexible/creative completion
-- Make completions full sentences/questions like a real search query (10-15 words)
-- Don't just finish the word — complete the whole thought
-
-Format:
-{"reason":"brief","suggestions":[{"text":"full natural question or search phrase","derivation":"source"},{"text":"full natural question or search phrase","derivation":"source"},{"text":"full natural question or search phrase","derivation":"source"}]}`;
+  getContextAwareSystemPrompt(strategy = getPromptStrategy('general')) {
+    return strategy.getSystemPrompt();
   }
 
   getFormFillSystemPrompt() {
@@ -304,7 +519,7 @@ Format:
   validateSuggestionOrdering(suggestions) {
     if (!Array.isArray(suggestions) || suggestions.length === 0) return suggestions;
     return suggestions.map((suggestion, index) => {
-      let sourceLabel = ['Session', 'Context', 'Smart'][index] || 'Smart';
+      let sourceLabel = SOURCE_SLOTS[index] || 'Smart';
       const derivation = suggestion.derivation || '';
       const enhancedDerivation = derivation.startsWith(sourceLabel)
         ? derivation
@@ -316,21 +531,15 @@ Format:
   async testConnection() {
     try {
       const apiKey = configManager.getApiKey();
-      const response = await fetch(`${this.baseURL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: this.model,
-          messages: [
-            { role: 'system', content: 'Respond with only: {"status": "ok"}' },
-            { role: 'user', content: 'test' }
-          ],
-          max_tokens: 20,
-          temperature: 0
-        })
+      const provider = configManager.getProvider();
+      const response = await provider.chatCompletion(apiKey, {
+        model: this._getModel(provider),
+        messages: [
+          { role: 'system', content: 'Respond with only: {"status": "ok"}' },
+          { role: 'user', content: 'test' }
+        ],
+        max_tokens: 20,
+        temperature: 0
       });
       return response.ok;
     } catch (error) {
@@ -339,8 +548,28 @@ Format:
     }
   }
 
-  getAvailableModels() {
-    return ['llama-3.1-8b-instant'];
+  /**
+   * Live model list from the provider's /models endpoint.
+   * The saved key only goes to the saved endpoint: for unsaved settings that
+   * point elsewhere, only a key typed alongside them is sent, else none.
+   * @param {Object} [overrides] - unsaved provider settings from the popup (provider, providerBaseURL, ...)
+   * @param {string} [typedKey] - key typed in the same form, not yet saved
+   * @returns {Promise<{models: string[], live: boolean}>}
+   */
+  async getAvailableModels(overrides = null, typedKey = '') {
+    const config = overrides ? { ...configManager.config, ...overrides } : configManager.config;
+    const provider = createProvider(config);
+    const fallback = provider.defaultModel || this.model;
+    const isSavedEndpoint = configManager.getKeyScope(config) === configManager.getKeyScope();
+    const apiKey = typedKey || (isSavedEndpoint ? configManager.getStoredApiKey() : '');
+
+    try {
+      const models = await provider.listModels(apiKey);
+      if (models.length > 0) return { models: models.sort(), live: true };
+    } catch (error) {
+      console.warn('Could not list models:', error.message);
+    }
+    return { models: [fallback], live: false };
   }
 }
 
@@ -0,0 +1,123 @@
+/**
+ * LLM Provider
+ * Thin wrapper around an OpenAI-compatible endpoint. GroqService talks to the
+ * provider instead of hard-coding the Groq base URL and key format.
+ *
+ * Public API:
+ *   validateKey(apiKey)                → void (throws on bad format)
+ *   chatCompletion(apiKey, body, opts) → Response
+ *   listModels(apiKey)                 → string[]
+ *   validateBaseURL(baseURL)           → void (throws when the extension can't reach it)
+ */
+
+import { getProviderPreset, AUTH_SCHEMES } from '../config/providers.js';
+
+// The manifest's connect-src allows any https: host but plain HTTP only on
+// these — anything else fails inside fetch with no useful error
+const PLAIN_HTTP_HOSTS = ['localhost', '127.0.0.1'];
+
+class LLMProvider {
+  constructor({ id, label, baseURL, authScheme, authHeader, keyPrefix, requiresKey, defaultModel }) {
+    this.id = id;
+    this.label = label;
+    this.baseURL = (baseURL || '').replace(/\/+$/, '');
+    this.authScheme = AUTH_SCHEMES.includes(authScheme) ? authScheme : 'bearer';
+    this.authHeader = authHeader || 'api-key';
+    this.keyPrefix = keyPrefix || '';
+    this.requiresKey = Boolean(requiresKey);
+    this.defaultModel = defaultModel || '';
+  }
+
+  /**
+   * Throw if the key does not match what this provider expects.
+   */
+  validateKey(apiKey) {
+    if (!apiKey) {
+      if (this.requiresKey) throw new Error(`${this.label} requires an API key`);
+      return;
+    }
+    if (typeof apiKey !== 'string') {
+      throw new Error('Invalid API key');
+    }
+    if (this.keyPrefix && !apiKey.startsWith(this.keyPrefix)) {
+      throw new Error(`Invalid format. ${this.label} keys start with "${this.keyPrefix}"`);
+    }
+  }
+
+  buildHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (!apiKey || this.authScheme === 'none') return headers;
+
+    if (this.authScheme === 'header') {
+      headers[this.authHeader] = apiKey;
+    } else {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  async chatCompletion(apiKey, body, options = {}) {
+    if (!this.baseURL) throw new Error(`${this.label}: base URL not configured`);
+    validateBaseURL(this.baseURL);
+
+    return fetch(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: this.buildHeaders(apiKey),
+      body: JSON.stringify(body),
+      signal: options.signal
+    });
+  }
+
+  async listModels(apiKey) {
+    if (!this.baseURL) throw new Error(`${this.label}: base URL not configured`);
+    validateBaseURL(this.baseURL);
+
+    const response = await fetch(`${this.baseURL}/models`, {
+      method: 'GET',
+      headers: this.buildHeaders(apiKey)
+    });
+    if (!response.ok) throw new Error(`Model list error: ${response.status}`);
+
+    const data = await response.json();
+    return (data.data || data.models || [])
+      .map(m => (typeof m === 'string' ? m : m.id || m.name))
+      .filter(Boolean);
+  }
+}
+
+/**
+ * Throw if the extension's CSP would block requests to this base URL.
+ * An empty URL is fine — the preset's own is used.
+ */
+export function validateBaseURL(baseURL) {
+  if (!baseURL) return;
+  let url;
+  try {
+    url = new URL(baseURL);
+  } catch {
+    throw new Error('Base URL must be a full URL, e.g. https://gateway.example.com/v1');
+  }
+  if (url.protocol === 'https:') return;
+  if (url.protocol === 'http:' && PLAIN_HTTP_HOSTS.includes(url.hostname)) return;
+  if (url.protocol === 'http:') {
+    throw new Error(`Plain HTTP only works for localhost and 127.0.0.1 — use HTTPS for ${url.hostname}`);
+  }
+  throw new Error('Base URL must start with https:// (or http://localhost)');
+}
+
+/**
+ * Resolve the active provider from the stored config — preset values first,
+ * then the user's overrides (base URL, auth scheme, model for custom endpoints).
+ */
+export function createProvider(config = {}) {
+  const preset = getProviderPreset(config.provider);
+  return new LLMProvider({
+    ...preset,
+    baseURL: config.providerBaseURL || preset.baseURL,
+    authScheme: preset.id === 'custom' ? (config.providerAuthScheme || preset.authScheme) : preset.authScheme,
+    authHeader: config.providerAuthHeader,
+    defaultModel: config.providerModel || preset.defaultModel
+  });
+}
+
+export default LLMProvider;
@@ -0,0 +1,169 @@
+/**
+ * PII Redactor
+ * Masks personal data in the collected context before any prompt is built.
+ * Runs in the service worker between ContextCollector and GroqService, on a
+ * copy of the context, so local form-fill answers still see the real values.
+ *
+ * Built-in detectors (applied in this order):
+ *   [token]  JWTs
+ *   [key]    API-key shaped strings (sk-…, gsk_…, ghp_…, AKIA…, AIza…) and
+ *            credential query parameters in URLs (?token=…, &api_key=…)
+ *   [email]  email addresses
+ *   [card]   13–19 digit runs, optionally grouped with spaces or dashes
+ *   [phone]  9–15 digits written like a phone number: a leading + or (, or
+ *            grouped with spaces, dashes or dots — not dates or bare ID runs
+ *   [custom] user regexes from settings ('redactionPatterns')
+ *
+ * Public API:
+ *   redactText(text, customPatterns)        → { text, counts }
+ *   redactContext(context, customPatterns)  → { context, redactions: { total, byType } }
+ *   compilePatterns(sources)                → RegExp[] (throws on an invalid pattern)
+ */
+
+// 2026-10-19, 2026/10/19, 19.10.2026 — a time after one adds more digits
+const DATE_SHAPE = /\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{4}/;
+
+const BUILT_IN_DETECTORS = [
+  { type: 'token', pattern: /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g },
+  {
+    type: 'key',
+    pattern: /\b(?:(?:sk|gsk|pk|rk|ghp|gho|ghs|xox[abpr])[-_][\w-]{10,}|github_pat_\w{20,}|AKIA[0-9A-Z]{16}|AIza[\w-]{35})/g
+  },
+  {
+    type: 'key',
+    // Keep the parameter name, mask only the value
+    pattern: /([?&#](?:token|access_token|id_token|api_?key|key|auth|sig|signature|secret|password|session)=)[^&#\s]+/gi,
+    replace: (match, name) => `${name}[key]`
+  },
+  { type: 'email', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  {
+    type: 'card',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g
+  },
+  {
+    type: 'phone',
+    pattern: /\+?\(?\d[\d\s().-]{7,}\d/g,
+    // Dates, version numbers and IDs look similar — require a phone-length
+    // digit count and a phone's shape
+    accept: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      if (digits < 9 || digits > 15 || DATE_SHAPE.test(match)) return false;
+      if (/^[+(]/.test(match)) return true;
+
+      const groups = match.split(/[\s().-]+/).filter(Boolean);
+      if (groups.length < 2 || groups.some(group => group.length > 6)) return false;
+      // 555.123.4567, not a dotted build number like 10.0.19045.2965
+      return !/^[\d.]+$/.test(match) || groups.length === 3;
+    }
+  }
+];
+
+class PIIRedactor {
+  /**
+   * Turn user pattern strings into global regexes. Accepts "/body/flags" or a
+   * bare body (matched case-insensitively).
+   * @param {string[]} sources
+   * @returns {RegExp[]}
+   */
+  compilePatterns(sources = []) {
+    return (sources || [])
+      .map(source => String(source).trim())
+      .filter(Boolean)
+      .map(source => {
+        const literal = source.match(/^\/(.+)\/([a-z]*)$/i);
+        try {
+          const [body, flags] = literal ? [literal[1], literal[2]] : [source, 'i'];
+          return new RegExp(body, flags.includes('g') ? flags : `${flags}g`);
+        } catch (error) {
+          throw new Error(`Invalid redaction pattern "${source}": ${error.message}`);
+        }
+      });
+  }
+
+  /**
+   * Mask one string.
+   * @returns {{text: string, counts: Object<string, number>}}
+   */
+  redactText(text, customPatterns = []) {
+    const counts = {};
+    if (typeof text !== 'string' || !text) return { text, counts };
+
+    const detectors = [
+      ...BUILT_IN_DETECTORS,
+      ...customPatterns.map(pattern => ({ type: 'custom', pattern }))
+    ];
+
+    let result = text;
+    for (const { type, pattern, replace, accept } of detectors) {
+      pattern.lastIndex = 0;
+      result = result.replace(pattern, (match, ...groups) => {
+        if (!match || (accept && !accept(match))) return match;
+        counts[type] = (counts[type] || 0) + 1;
+        return replace ? replace(match, ...groups) : `[${type}]`;
+      });
+    }
+
+    return { text: result, counts };
+  }
+
+  /**
+   * Redacted copy of every context field that can end up in a prompt.
+   * @returns {{context: Object, redactions: {total: number, byType: Object<string, number>}}}
+   */
+  redactContext(context, customPatterns = []) {
+    const byType = {};
+    const mask = (value) => {
+      const { text, counts } = this.redactText(value, customPatterns);
+      for (const [type, count] of Object.entries(counts)) {
+        byType[type] = (byType[type] || 0) + count;
+      }
+      return text;
+    };
+    const maskPages = (items) => (items || []).map(item => ({
+      ...item,
+      title: mask(item.title),
+      url: mask(item.url)
+    }));
+
+    const redacted = {
+      ...context,
+      active_input_text: mask(context.active_input_text),
+      current_page: context.current_page && {
+        ...context.current_page,
+        title: mask(context.current_page.title),
+        url: mask(context.current_page.url),
+        headings: (context.current_page.headings || []).map(mask)
+      },
+      active_tabs: maskPages(context.active_tabs),
+      recent_history: maskPages(context.recent_history),
+      top_visited_titles: maskPages(context.top_visited_titles),
+      recent_ai_tabs: maskPages(context.recent_ai_tabs),
+      past_similar_searches: (context.past_similar_searches || []).map(search => ({
+        ...search,
+        query: mask(search.query)
+      })),
+      sessionIntent: context.sessionIntent && {
+        ...context.sessionIntent,
+        sessionSummary: mask(context.sessionIntent.sessionSummary),
+        recentThread: mask(context.sessionIntent.recentThread)
+      },
+      chatTranscript: context.chatTranscript?.map(turn => ({ ...turn, text: mask(turn.text) })),
+      acceptedExamples: context.acceptedExamples?.map(example => ({
+        query: mask(example.query),
+        suggestion: mask(example.suggestion)
+      })),
+      fieldMeta: context.fieldMeta && {
+        ...context.fieldMeta,
+        fieldLabel: mask(context.fieldMeta.fieldLabel),
+        pageTitle: mask(context.fieldMeta.pageTitle),
+        candidates: context.fieldMeta.candidates?.map(c => ({ ...c, value: mask(c.value) }))
+      }
+    };
+
+    const total = Object.values(byType).reduce((sum, count) => sum + count, 0);
+    return { context: redacted, redactions: { total, byType } };
+  }
+}
+
+const piiRedactor = new PIIRedactor();
+export default piiRedactor;
@@ -0,0 +1,78 @@
+/**
+ * Prompt Log
+ * Keeps the last few prompts that were actually sent to the provider so the
+ * popup's inspector can show exactly what left the browser.
+ *
+ * Storage key: 'promptLog' in chrome.storage.session (memory-only, gone when
+ * the browser closes, wiped by Clear All Data)
+ * Shape: { entries: [{ id, timestamp, provider, model, strategy, pageType,
+ *          messages: [{ role, content }], usage, latencyMs, suggestions,
+ *          contextSources, redactions, status, error }] }  — newest first
+ *
+ * status: 'ok' | 'error' | 'cancelled' (a cancelled prompt was still sent)
+ *
+ * Public API (all async):
+ *   record(entry)  → void
+ *   getEntries()   → entries, newest first
+ *   clear()        → void
+ */
+
+class PromptLog {
+  constructor() {
+    this.STORAGE_KEY = 'promptLog';
+    // Oldest entries are dropped beyond this size
+    this.MAX_ENTRIES = 20;
+    this.entries = null;
+  }
+
+  // ── Public API ──────────────────────────────────────────────────────────────
+
+  async record(entry) {
+    try {
+      const entries = await this._load();
+      entries.unshift({
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        timestamp: Date.now(),
+        ...entry
+      });
+      this.entries = entries.slice(0, this.MAX_ENTRIES);
+      await chrome.storage.session.set({ [this.STORAGE_KEY]: { entries: this.entries } });
+    } catch (error) {
+      console.error('PromptLog.record error:', error);
+    }
+  }
+
+  async getEntries() {
+    try {
+      return [...(await this._load())];
+    } catch (error) {
+      console.error('PromptLog.getEntries error:', error);
+      return [];
+    }
+  }
+
+  async clear() {
+    this.entries = [];
+    try {
+      await chrome.storage.session.remove(this.STORAGE_KEY);
+    } catch (error) {
+      console.error('PromptLog.clear error:', error);
+    }
+  }
+
+  // ── Private helpers ─────────────────────────────────────────────────────────
+
+  /**
+   * Load entries once per service-worker lifetime.
+   */
+  async _load() {
+    if (!this.entries) {
+      const stored = await chrome.storage.session.get(this.STORAGE_KEY);
+      this.entries = stored[this.STORAGE_KEY]?.entries || [];
+    }
+    return this.entries;
+  }
+}
+
+const promptLog = new PromptLog();
+export default promptLog;
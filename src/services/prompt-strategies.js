@@ -0,0 +1,219 @@
+/**
+ * Prompt Strategies
+ * One strategy per page_type. Each decides which context sections go into the
+ * user prompt and how the system prompt asks the model to phrase completions.
+ *
+ * Strategy shape:
+ *   { id, buildPrompt(context) → string, getSystemPrompt() → string }
+ *
+ * Public API:
+ *   getPromptStrategy(pageType) → strategy (falls back to 'general')
+ *   selectPromptStrategy(context, { aiChatMode }) → strategy for a full context
+ *   PROMPT_STRATEGIES           → registry keyed by page type
+ */
+
+// ─── Context sections ────────────────────────────────────────────────────────
+// Each returns a prompt line or null when that context is missing.
+
+const sections = {
+  query: (ctx) => `Q:"${ctx.active_input_text || ''}"`,
+
+  session: (ctx) => ctx.sessionIntent?.sessionSummary
+    ? `SESSION:${ctx.sessionIntent.sessionSummary}`
+    : null,
+
+  // Truncate to keep tokens tight
+  thread: (ctx) => ctx.sessionIntent?.recentThread
+    ? `THREAD:${ctx.sessionIntent.recentThread.slice(0, 120)}`
+    : null,
+
+  page: (ctx) => ctx.current_page?.title
+    ? `PAGE:"${ctx.current_page.title.slice(0, 80)}"`
+    : null,
+
+  headings: (ctx) => ctx.current_page?.headings?.length > 0
+    ? `HEADINGS:${ctx.current_page.headings.slice(0, 3).map(h => `"${h.slice(0, 50)}"`).join(', ')}`
+    : null,
+
+  tabs: (ctx, limit = 2) => ctx.active_tabs?.length > 0
+    ? `TABS:${ctx.active_tabs.slice(0, limit).map(t => `"${t.title.slice(0, 40)}"`).join(', ')}`
+    : null,
+
+  history: (ctx, limit = 2) => ctx.recent_history?.length > 0
+    ? `HIST:${ctx.recent_history.slice(0, limit).map(t => `"${t.title.slice(0, 40)}"`).join(', ')}`
+    : null,
+
+  // Completions the user accepted before on this page type (FeedbackStore)
+  accepted: (ctx) => ctx.acceptedExamples?.length > 0
+    ? `ACCEPTED:\n${ctx.acceptedExamples.map(e => `"${e.query.slice(0, 60)}" → "${e.suggestion.slice(0, 120)}"`).join('\n')}`
+    : null,
+
+  // Already budgeted by ContextCollector.buildChatTranscript and redacted by
+  // piiRedactor.redactContext in the service worker
+  transcript: (ctx) => ctx.chatTranscript?.length > 0
+    ? `TRANSCRIPT:\n${ctx.chatTranscript.map(t => `${t.role === 'user' ? 'USER' : 'AI'}: ${t.text}`).join('\n')}`
+    : null
+};
+
+/**
+ * Build a prompt from [sectionName, ...args] entries, skipping empty ones.
+ */
+function composePrompt(context, plan) {
+  return plan
+    .map(([name, ...args]) => sections[name](context, ...args))
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Shared rule for the ACCEPTED section, placed last in each strategy's rules
+const ACCEPTED_RULE = '- If ACCEPTED is present, those are completions this user picked before — match their length, tone and phrasing';
+
+const RESPONSE_FORMAT = `Format:
+{"reason":"brief","suggestions":[{"text":"completion","derivation":"source"},{"text":"completion","derivation":"source"},{"text":"completion","derivation":"source"}]}`;
+
+// ─── Strategies ──────────────────────────────────────────────────────────────
+
+const general = {
+  id: 'general',
+  buildPrompt: (context) => composePrompt(context, [
+    ['query'], ['session'], ['thread'], ['tabs', 2], ['history', 2], ['accepted']
+  ]),
+  getSystemPrompt: () => `Autocomplete assistant. Complete the user's query into a full natural question or search phrase using context from their session research thread (SESSION, THREAD), open tabs (TABS) and history (HIST).
+
+Rules:
+- Output ONLY valid JSON, no markdown
+- If SESSION/THREAD present: suggestion[0] should continue or deepen that research thread
+- suggestion[1] from TABS or HIST context
+- suggestion[2] flexible/creative completion
+- Make completions full sentences/questions like a real search query (10-15 words)
+- Don't just finish the word — complete the whole thought
+${ACCEPTED_RULE}
+
+${RESPONSE_FORMAT}`
+};
+
+const search = {
+  id: 'search',
+  buildPrompt: (context) => composePrompt(context, [
+    ['query'], ['session'], ['thread'], ['history', 3], ['tabs', 2], ['accepted']
+  ]),
+  getSystemPrompt: () => `Search-box autocomplete. Complete the user's partial query into short keyword search queries, the way people type into a search engine, using their session research thread (SESSION, THREAD), history (HIST) and open tabs (TABS).
+
+Rules:
+- Output ONLY valid JSON, no markdown
+- Each completion MUST start with the user's text (Q) and extend it
+- 3-8 words, keywords not sentences, no trailing question mark
+- suggestion[0] narrows toward the SESSION/THREAD topic
+- suggestion[1] from HIST or TABS context
+- suggestion[2] a common alternative refinement (e.g. "vs", "tutorial", "2024", "example")
+${ACCEPTED_RULE}
+
+${RESPONSE_FORMAT}`
+};
+
+const coding = {
+  id: 'coding',
+  buildPrompt: (context) => composePrompt(context, [
+    ['query'], ['page'], ['headings'], ['session'], ['thread'], ['tabs', 3], ['accepted']
+  ]),
+  getSystemPrompt: () => `Developer autocomplete on a coding site (GitHub, Stack Overflow). Complete the user's text into precise technical queries, issue titles or comments using the current page (PAGE, HEADINGS), session thread (SESSION, THREAD) and open tabs (TABS).
+
+Rules:
+- Output ONLY valid JSON, no markdown
+- Keep identifiers, package names, API names, error messages and error codes EXACTLY as written — never paraphrase them
+- Name the language/framework/library when PAGE or TABS make it clear
+- If the text looks like an error message, complete it and suggest the fix-oriented query ("... when calling X", "fix ...")
+- suggestion[0] continues the SESSION/THREAD or PAGE problem
+- suggestion[1] uses a specific API, version or error from context
+- suggestion[2] flexible completion
+- 6-15 words
+${ACCEPTED_RULE}
+
+${RESPONSE_FORMAT}`
+};
+
+const documentation = {
+  id: 'documentation',
+  buildPrompt: (context) => composePrompt(context, [
+    ['query'], ['page'], ['headings'], ['session'], ['tabs', 2], ['accepted']
+  ]),
+  getSystemPrompt: () => `Autocomplete for someone reading technical documentation. Complete the user's text into questions or lookups about the documented API or concept, using the page being read (PAGE, HEADINGS), their session (SESSION) and open tabs (TABS).
+
+Rules:
+- Output ONLY valid JSON, no markdown
+- Reference the exact function, option or section names from PAGE/HEADINGS
+- suggestion[0] about the section currently being read (HEADINGS)
+- suggestion[1] how it relates to the SESSION topic or another TABS page
+- suggestion[2] a practical "how do I / example of" completion
+- 8-15 words
+${ACCEPTED_RULE}
+
+${RESPONSE_FORMAT}`
+};
+
+const aiChat = {
+  id: 'ai_chat',
+  buildPrompt: (context) => composePrompt(context, [
+    ['query'], ['page'], ['session'], ['thread'], ['tabs', 2], ['accepted']
+  ]),
+  getSystemPrompt: () => `Prompt-writing assistant for an AI chat box (ChatGPT, Claude, Gemini, ...). Complete the user's partial message into a full, well-specified prompt for the AI, using their session research thread (SESSION, THREAD), the chat title (PAGE) and open tabs (TABS).
+
+Rules:
+- Output ONLY valid JSON, no markdown
+- Write complete prompt phrasings addressed to the AI ("Explain ...", "Compare ... and give ...", "Write a ...")
+- Add useful specifics: desired format, depth, audience or constraints
+- suggestion[0] continues the SESSION/THREAD topic
+- suggestion[1] grounded in TABS or PAGE
+- suggestion[2] a sharper or more ambitious version of the request
+- 15-30 words, under 200 characters
+${ACCEPTED_RULE}
+
+${RESPONSE_FORMAT}`
+};
+
+// Chosen instead of ai_chat when a conversation is already under way
+const aiChatFollowUp = {
+  id: 'ai_chat_followup',
+  buildPrompt: (context) => composePrompt(context, [
+    ['query'], ['transcript'], ['session'], ['accepted']
+  ]),
+  getSystemPrompt: () => `Follow-up assistant for an ongoing AI chat. TRANSCRIPT holds the latest turns of the conversation (USER = the person typing, AI = the assistant). Complete the user's partial message (Q) into natural next messages for THIS conversation.
+
+Rules:
+- Output ONLY valid JSON, no markdown
+- Each suggestion must make sense as the very next USER message after the last AI turn
+- Refer to specifics from the last AI answer (names, steps, code, claims) instead of restating the topic
+- suggestion[0] digs deeper into the last AI answer (clarify, expand, "why ...")
+- suggestion[1] applies it to the user's situation or asks for a concrete example/code
+- suggestion[2] challenges, compares or moves the conversation to the logical next step
+- Keep the user's own words from Q at the start when they are meaningful
+- 8-25 words, under 200 characters
+${ACCEPTED_RULE}
+
+${RESPONSE_FORMAT}`
+};
+
+export const PROMPT_STRATEGIES = {
+  general,
+  search,
+  coding,
+  documentation,
+  ai_chat: aiChat,
+  ai_chat_followup: aiChatFollowUp
+};
+
+export function getPromptStrategy(pageType) {
+  return PROMPT_STRATEGIES[pageType] || PROMPT_STRATEGIES.general;
+}
+
+/**
+ * AI chat pages get prompt refinement only when AI Chat Mode is on, and the
+ * follow-up strategy once there is a transcript to follow up on.
+ */
+export function selectPromptStrategy(context, { aiChatMode = true } = {}) {
+  if (context.page_type === 'ai_chat') {
+    if (!aiChatMode) return PROMPT_STRATEGIES.general;
+    if (context.chatTranscript?.length > 0) return PROMPT_STRATEGIES.ai_chat_followup;
+  }
+  return getPromptStrategy(context.page_type);
+}
@@ -5,11 +5,20 @@
  * context-aware, session-continuity suggestions.
  *
  * Storage key: 'sessionIntent'
- * Shape: { queries: [{text, suggestions, timestamp}], sessionSummary: string, recentThread: string, startedAt: number }
+ * Shape: { queries: [{text, suggestions, derivations, timestamp}], sessionSummary: string, recentThread: string,
+ *          pinnedTopics: string[], removedTopics: string[], startedAt: number }
+ *
+ * Topics are the summary keywords. Pinned topics always lead the summary and
+ * carry over when the session expires; removed topics take their queries out
+ * of the session and stay out of the summary until the session ends.
  *
  * Public API (all async):
  *   recordQuery(queryText, suggestions)  → void
  *   getIntentContext()                   → { sessionSummary, recentThread }
+ *   getTopics()                          → [{ topic, count, pinned }], pinned first
+ *   getRecentQueries(limit)              → [{ text, suggestions, derivations, timestamp }], newest first
+ *   pinTopic(topic, pinned)              → void
+ *   removeTopic(topic)                   → void
  *   clearSession()                       → void
  */
 
@@ -22,6 +31,14 @@ class SessionTracker {
     this.MAX_QUERIES = 20;
     // Rebuild the summary after this many new queries
     this.SUMMARY_REBUILD_INTERVAL = 5;
+    this.MAX_PINNED_TOPICS = 5;
+    this.STOP_WORDS = new Set([
+      'the', 'a', 'an', 'is', 'in', 'on', 'at', 'to', 'for', 'of', 'and',
+      'or', 'how', 'what', 'why', 'when', 'where', 'do', 'does', 'can',
+      'i', 'my', 'me', 'with', 'vs', 'vs.', 'between', 'difference',
+      'best', 'good', 'new', 'using', 'use', 'get', 'will', 'it', 'this',
+      'that', 'from', 'about', 'into', 'are', 'be', 'not', 'no', 'without'
+    ]);
   }
 
   // ── Public API ──────────────────────────────────────────────────────────────
@@ -39,11 +56,14 @@ class SessionTracker {
     try {
       const session = await this._loadSession();
 
+      const kept = (suggestions || []).slice(0, 3);
       session.queries.push({
         text,
-        suggestions: (suggestions || []).slice(0, 3).map(s =>
+        suggestions: kept.map(s =>
           typeof s === 'string' ? s : (s.text || '')
         ),
+        // Parallel to suggestions, so the side panel can record where an accepted one came from
+        derivations: kept.map(s => (typeof s === 'object' && s?.derivation) || ''),
         timestamp: Date.now()
       });
 
@@ -53,10 +73,7 @@ class SessionTracker {
       }
 
       // Rebuild the human-readable thread and summary
-      session.recentThread = this._buildRecentThread(session.queries);
-      session.sessionSummary = this._buildSessionSummary(session.queries);
-      session.updatedAt = Date.now();
-
+      this._rebuild(session);
       await this._saveSession(session);
     } catch (error) {
       console.error('SessionTracker.recordQuery error:', error);
@@ -80,6 +97,74 @@ class SessionTracker {
     }
   }
 
+  /**
+   * Summary keywords with their query counts — what the side panel lets you pin or remove.
+   */
+  async getTopics(limit = 12) {
+    try {
+      const session = await this._loadSession();
+      const freq = this._countKeywords(session.queries);
+      const pinned = session.pinnedTopics.map(topic => ({ topic, count: freq[topic] || 0, pinned: true }));
+      const others = Object.entries(freq)
+        .filter(([topic]) => !session.pinnedTopics.includes(topic) && !session.removedTopics.includes(topic))
+        .sort((a, b) => b[1] - a[1])
+        .map(([topic, count]) => ({ topic, count, pinned: false }));
+      return [...pinned, ...others].slice(0, Math.max(limit, pinned.length));
+    } catch (error) {
+      console.error('SessionTracker.getTopics error:', error);
+      return [];
+    }
+  }
+
+  async getRecentQueries(limit = 10) {
+    try {
+      const session = await this._loadSession();
+      return session.queries.slice(-limit).reverse();
+    } catch (error) {
+      console.error('SessionTracker.getRecentQueries error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Pin (or unpin) a topic so it always leads the session summary.
+   */
+  async pinTopic(topic, pinned = true) {
+    const word = this._normalizeTopic(topic);
+    if (!word) return;
+    try {
+      const session = await this._loadSession();
+      session.pinnedTopics = session.pinnedTopics.filter(t => t !== word);
+      if (pinned) {
+        session.pinnedTopics = [word, ...session.pinnedTopics].slice(0, this.MAX_PINNED_TOPICS);
+        session.removedTopics = session.removedTopics.filter(t => t !== word);
+      }
+      this._rebuild(session);
+      await this._saveSession(session);
+    } catch (error) {
+      console.error('SessionTracker.pinTopic error:', error);
+    }
+  }
+
+  /**
+   * Drop a topic from the session: the queries that mention it go, and it
+   * stays out of the summary for the rest of the session.
+   */
+  async removeTopic(topic) {
+    const word = this._normalizeTopic(topic);
+    if (!word) return;
+    try {
+      const session = await this._loadSession();
+      session.queries = session.queries.filter(q => !this._extractKeywords(q.text).includes(word));
+      session.pinnedTopics = session.pinnedTopics.filter(t => t !== word);
+      if (!session.removedTopics.includes(word)) session.removedTopics.push(word);
+      this._rebuild(session);
+      await this._saveSession(session);
+    } catch (error) {
+      console.error('SessionTracker.removeTopic error:', error);
+    }
+  }
+
   /**
    * Wipe the stored session.
    */
@@ -105,10 +190,10 @@ class SessionTracker {
         return this._freshSession();
       }
 
-      // Expire stale sessions
+      // Expire stale sessions, keeping what the user pinned
       const age = Date.now() - (session.updatedAt || session.startedAt);
       if (age > this.SESSION_TTL_MS) {
-        return this._freshSession();
+        return this._freshSession(session.pinnedTopics);
       }
 
       // Ensure required fields exist (backwards compat)
@@ -116,6 +201,8 @@ class SessionTracker {
         queries: session.queries || [],
         sessionSummary: session.sessionSummary || '',
         recentThread: session.recentThread || '',
+        pinnedTopics: session.pinnedTopics || [],
+        removedTopics: session.removedTopics || [],
         startedAt: session.startedAt,
         updatedAt: session.updatedAt || session.startedAt
       };
@@ -128,16 +215,24 @@ class SessionTracker {
     await chrome.storage.local.set({ [this.STORAGE_KEY]: session });
   }
 
-  _freshSession() {
+  _freshSession(pinnedTopics = []) {
     return {
       queries: [],
-      sessionSummary: '',
+      sessionSummary: pinnedTopics.length ? `Researching: ${pinnedTopics.join(', ')}` : '',
       recentThread: '',
+      pinnedTopics: [...pinnedTopics],
+      removedTopics: [],
       startedAt: Date.now(),
       updatedAt: Date.now()
     };
   }
 
+  _rebuild(session) {
+    session.recentThread = this._buildRecentThread(session.queries);
+    session.sessionSummary = this._buildSessionSummary(session.queries, session);
+    session.updatedAt = Date.now();
+  }
+
   /**
    * Build a short readable string of the last 5 query texts.
    * Used as THREAD: in the groq prompt.
@@ -154,36 +249,41 @@ class SessionTracker {
    * Build a one-line summary of what the user is researching this session.
    * Uses simple keyword frequency — no API call needed.
    * Example: "Researching: react, hooks, performance, useEffect"
+   * Pinned topics come first; removed topics are left out.
    */
-  _buildSessionSummary(queries) {
-    if (queries.length === 0) return '';
+  _buildSessionSummary(queries, { pinnedTopics = [], removedTopics = [] } = {}) {
+    const freq = this._countKeywords(queries);
 
-    // Collect all words, strip noise, count frequency
-    const stopWords = new Set([
-      'the', 'a', 'an', 'is', 'in', 'on', 'at', 'to', 'for', 'of', 'and',
-      'or', 'how', 'what', 'why', 'when', 'where', 'do', 'does', 'can',
-      'i', 'my', 'me', 'with', 'vs', 'vs.', 'between', 'difference',
-      'best', 'good', 'new', 'using', 'use', 'get', 'will', 'it', 'this',
-      'that', 'from', 'about', 'into', 'are', 'be', 'not', 'no', 'without'
-    ]);
+    const topKeywords = Object.entries(freq)
+      .filter(([word]) => !pinnedTopics.includes(word) && !removedTopics.includes(word))
+      .sort((a, b) => b[1] - a[1])
+      .map(([word]) => word);
+    const keywords = [...pinnedTopics, ...topKeywords].slice(0, Math.max(6, pinnedTopics.length));
+
+    if (keywords.length === 0) return '';
+    return `Researching: ${keywords.join(', ')}`;
+  }
 
+  /**
+   * Collect all words, strip noise, count frequency
+   */
+  _countKeywords(queries) {
     const freq = {};
     for (const q of queries) {
-      const words = q.text.toLowerCase().match(/\b[a-z][a-z0-9+#.]{1,20}\b/g) || [];
-      for (const word of words) {
-        if (!stopWords.has(word)) {
-          freq[word] = (freq[word] || 0) + 1;
-        }
+      for (const word of this._extractKeywords(q.text)) {
+        freq[word] = (freq[word] || 0) + 1;
       }
     }
+    return freq;
+  }
 
-    const topKeywords = Object.entries(freq)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 6)
-      .map(([word]) => word);
+  _extractKeywords(text) {
+    const words = String(text || '').toLowerCase().match(/\b[a-z][a-z0-9+#.]{1,20}\b/g) || [];
+    return words.filter(word => !this.STOP_WORDS.has(word));
+  }
 
-    if (topKeywords.length === 0) return '';
-    return `Researching: ${topKeywords.join(', ')}`;
+  _normalizeTopic(topic) {
+    return String(topic || '').trim().toLowerCase();
   }
 }
 
@@ -0,0 +1,172 @@
+/**
+ * Suggestion Cache
+ * Remembers provider results so backspacing and retyping the same prefix, or
+ * revisiting the same search box, doesn't trigger a fresh API request.
+ *
+ * Storage key: 'suggestionCache' in chrome.storage.session (memory-only,
+ * survives service-worker restarts, gone when the browser closes)
+ * Shape: { entries: [{ text, contextKey, result, createdAt, lastUsed }] }
+ *
+ * contextKey = page type | field type | hash(page host, other tab titles, chat transcript)
+ *
+ * Public API (all async):
+ *   get(context)          → cached result or null
+ *   set(context, result)  → void
+ *   clear()               → void
+ */
+
+class SuggestionCache {
+  constructor() {
+    this.STORAGE_KEY = 'suggestionCache';
+    // Entries older than this are ignored and pruned
+    this.TTL_MS = 10 * 60 * 1000;
+    // Least-recently-used entries are evicted beyond this size
+    this.MAX_ENTRIES = 100;
+    this.entries = null;
+  }
+
+  // ── Public API ──────────────────────────────────────────────────────────────
+
+  /**
+   * Look up a result for this input + context.
+   * Exact prefix hits return the stored result as-is. Otherwise an entry for a
+   * longer or shorter prefix is reused when some of its suggestions still start
+   * with what the user has typed.
+   */
+  async get(context) {
+    const text = this._normalize(context.active_input_text);
+    if (!text) return null;
+
+    try {
+      const entries = await this._load();
+      const contextKey = this._contextKey(context);
+      const now = Date.now();
+
+      let hit = entries.find(e => e.contextKey === contextKey && e.text === text);
+      let result = hit?.result || null;
+
+      if (!hit) {
+        for (const entry of entries) {
+          if (entry.contextKey !== contextKey) continue;
+          if (!entry.text.startsWith(text) && !text.startsWith(entry.text)) continue;
+
+          const reusable = (entry.result.suggestions || [])
+            .filter(s => this._normalize(s.text).startsWith(text));
+          if (reusable.length > 0) {
+            hit = entry;
+            result = { ...entry.result, suggestions: reusable };
+            break;
+          }
+        }
+      }
+
+      if (!hit) return null;
+
+      hit.lastUsed = now;
+      await this._save();
+      return result;
+    } catch (error) {
+      console.error('SuggestionCache.get error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a provider result. Empty results are not cached.
+   */
+  async set(context, result) {
+    const text = this._normalize(context.active_input_text);
+    if (!text || !result?.suggestions?.length) return;
+
+    try {
+      const entries = await this._load();
+      const contextKey = this._contextKey(context);
+      const now = Date.now();
+
+      const filtered = entries.filter(e => !(e.contextKey === contextKey && e.text === text));
+      filtered.push({
+        text,
+        contextKey,
+        result: { reason: result.reason, suggestions: result.suggestions, isFormFill: result.isFormFill },
+        createdAt: now,
+        lastUsed: now
+      });
+
+      this.entries = filtered
+        .sort((a, b) => b.lastUsed - a.lastUsed)
+        .slice(0, this.MAX_ENTRIES);
+      await this._save();
+    } catch (error) {
+      console.error('SuggestionCache.set error:', error);
+    }
+  }
+
+  /**
+   * Wipe all cached suggestions.
+   */
+  async clear() {
+    this.entries = [];
+    try {
+      await chrome.storage.session.remove(this.STORAGE_KEY);
+    } catch (error) {
+      console.error('SuggestionCache.clear error:', error);
+    }
+  }
+
+  // ── Private helpers ─────────────────────────────────────────────────────────
+
+  /**
+   * Load entries (once per service-worker lifetime) and drop expired ones.
+   */
+  async _load() {
+    if (!this.entries) {
+      const stored = await chrome.storage.session.get(this.STORAGE_KEY);
+      this.entries = stored[this.STORAGE_KEY]?.entries || [];
+    }
+    const now = Date.now();
+    this.entries = this.entries.filter(e => now - e.createdAt < this.TTL_MS);
+    return this.entries;
+  }
+
+  async _save() {
+    await chrome.storage.session.set({ [this.STORAGE_KEY]: { entries: this.entries } });
+  }
+
+  _normalize(text) {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  _contextKey(context) {
+    let host = '';
+    try {
+      host = new URL(context.current_page?.url || '').hostname;
+    } catch (e) { /* no URL — popup or blank page */ }
+
+    // No session summary: every request re-ranks its keywords, so backspacing
+    // and retyping the same prefix would never hit
+    const tabs = (context.active_tabs || []).map(t => t.title || '').sort().join('|');
+    const fingerprint = this._hash([
+      host,
+      tabs,
+      // A new AI reply makes earlier follow-up suggestions stale
+      (context.chatTranscript || []).map(t => t.text).join('|')
+    ].join('\n'));
+
+    return [context.page_type || 'general', context.fieldMeta?.fieldType || 'none', fingerprint].join('|');
+  }
+
+  /**
+   * FNV-1a 32-bit — only needs to be stable, not cryptographic.
+   */
+  _hash(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+}
+
+const suggestionCache = new SuggestionCache();
+export default suggestionCache;
@@ -0,0 +1,187 @@
+/**
+ * Usage Stats
+ * Local-only usage events behind the stats page: one event per answered
+ * suggestion request (from the service worker's generateSuggestions) and one
+ * per suggestion feedback event (from the content script overlay, the popup
+ * and the side panel).
+ * Nothing here is ever sent anywhere.
+ *
+ * Storage key: 'usageStats' in chrome.storage.local (wiped by Clear All Data)
+ * Shape: { events: [
+ *   { kind: 'request', timestamp, pageType, outcome, formFill, latencyMs,
+ *     promptTokens, completionTokens, suggestionCount },
+ *   { kind: 'feedback', timestamp, pageType, type, surface }
+ * ] }  — newest first
+ *
+ * outcome: 'api' | 'cache' | 'local' | 'rate_limited' | 'error'
+ *   local = a form field answered from local candidates, without the provider
+ *
+ * Events older than RETENTION_DAYS are dropped on write.
+ *
+ * Public API (all async):
+ *   recordRequest(event)    → void
+ *   recordFeedback(event)   → void
+ *   getSummary(days)        → { totals, daily, pageTypes, ... } for the last `days` days
+ *   clear()                 → void
+ */
+
+import { FEEDBACK_TYPES, FEEDBACK_SURFACES } from './feedback-store.js';
+
+export const REQUEST_OUTCOMES = ['api', 'cache', 'local', 'rate_limited', 'error'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class UsageStats {
+  constructor() {
+    this.STORAGE_KEY = 'usageStats';
+    this.RETENTION_DAYS = 30;
+    // Hard cap so a very busy month can't grow storage without bound
+    this.MAX_EVENTS = 5000;
+    this.events = null;
+  }
+
+  // ── Public API ──────────────────────────────────────────────────────────────
+
+  async recordRequest(event) {
+    if (!REQUEST_OUTCOMES.includes(event?.outcome)) return;
+    await this._append({
+      kind: 'request',
+      timestamp: Date.now(),
+      pageType: event.pageType || 'general',
+      outcome: event.outcome,
+      formFill: Boolean(event.formFill),
+      latencyMs: Math.max(0, Math.round(event.latencyMs || 0)),
+      promptTokens: event.usage?.prompt_tokens || 0,
+      completionTokens: event.usage?.completion_tokens || 0,
+      suggestionCount: event.suggestionCount || 0
+    });
+  }
+
+  async recordFeedback(event) {
+    if (!FEEDBACK_TYPES.includes(event?.type)) return;
+    await this._append({
+      kind: 'feedback',
+      timestamp: Date.now(),
+      pageType: event.pageType || 'general',
+      type: event.type,
+      surface: FEEDBACK_SURFACES.includes(event.surface) ? event.surface : 'overlay'
+    });
+  }
+
+  /**
+   * Everything the stats page shows, for the last `days` calendar days (local time).
+   * Rates are null when there is nothing to divide by.
+   */
+  async getSummary(days = 14) {
+    try {
+      const cursor = new Date();
+      cursor.setHours(0, 0, 0, 0);
+      cursor.setDate(cursor.getDate() - (days - 1));
+      const since = cursor.getTime();
+      const events = (await this._load()).filter(event => event.timestamp >= since);
+      const requests = events.filter(event => event.kind === 'request');
+      const feedback = events.filter(event => event.kind === 'feedback');
+
+      const count = (list, test) => list.filter(test).length;
+      const sum = (list, key) => list.reduce((total, event) => total + (event[key] || 0), 0);
+      const average = (list, key) => list.length ? Math.round(sum(list, key) / list.length) : null;
+      const ratio = (part, whole) => whole > 0 ? part / whole : null;
+
+      const answered = requests.filter(event => ['api', 'cache', 'local'].includes(event.outcome));
+      const apiCalls = requests.filter(event => event.outcome === 'api');
+      const cacheHits = count(requests, event => event.outcome === 'cache');
+      const shown = count(answered, event => event.suggestionCount > 0);
+      const accepted = count(feedback, event => event.type === 'accepted');
+      const formFillLocal = count(requests, event => event.formFill && event.outcome === 'local');
+      const formFillApi = count(requests, event => event.formFill && ['api', 'cache'].includes(event.outcome));
+
+      const daily = [];
+      for (let i = 0; i < days; i++) {
+        const date = dayKey(cursor);
+        const dayRequests = requests.filter(event => dayKey(event.timestamp) === date);
+        daily.push({
+          date,
+          requests: dayRequests.length,
+          apiCalls: count(dayRequests, event => event.outcome === 'api'),
+          cacheHits: count(dayRequests, event => event.outcome === 'cache')
+        });
+        cursor.setDate(cursor.getDate() + 1);
+      }
+
+      const pageCounts = {};
+      for (const event of requests) pageCounts[event.pageType] = (pageCounts[event.pageType] || 0) + 1;
+      const pageTypes = Object.entries(pageCounts)
+        .map(([pageType, requestCount]) => ({ pageType, requests: requestCount }))
+        .sort((a, b) => b.requests - a.requests)
+        .slice(0, 8);
+
+      return {
+        days,
+        totals: {
+          requests: requests.length,
+          apiCalls: apiCalls.length,
+          cacheHits,
+          rateLimited: count(requests, event => event.outcome === 'rate_limited'),
+          errors: count(requests, event => event.outcome === 'error'),
+          shown,
+          accepted,
+          cycled: count(feedback, event => event.type === 'cycled'),
+          dismissed: count(feedback, event => event.type === 'dismissed'),
+          promptTokens: sum(apiCalls, 'promptTokens'),
+          completionTokens: sum(apiCalls, 'completionTokens'),
+          formFillLocal,
+          formFillApi
+        },
+        acceptanceRate: ratio(accepted, shown),
+        cacheHitRate: ratio(cacheHits, cacheHits + apiCalls.length),
+        formFillLocalRate: ratio(formFillLocal, formFillLocal + formFillApi),
+        avgLatencyMs: average(answered, 'latencyMs'),
+        avgApiLatencyMs: average(apiCalls, 'latencyMs'),
+        daily,
+        pageTypes
+      };
+    } catch (error) {
+      console.error('UsageStats.getSummary error:', error);
+      return null;
+    }
+  }
+
+  async clear() {
+    this.events = [];
+    try {
+      await chrome.storage.local.remove(this.STORAGE_KEY);
+    } catch (error) {
+      console.error('UsageStats.clear error:', error);
+    }
+  }
+
+  // ── Private helpers ─────────────────────────────────────────────────────────
+
+  async _append(entry) {
+    try {
+      const cutoff = Date.now() - this.RETENTION_DAYS * DAY_MS;
+      const events = await this._load();
+      this.events = [entry, ...events.filter(event => event.timestamp >= cutoff)].slice(0, this.MAX_EVENTS);
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: { events: this.events } });
+    } catch (error) {
+      console.error('UsageStats record error:', error);
+    }
+  }
+
+  async _load() {
+    if (!this.events) {
+      const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+      this.events = stored[this.STORAGE_KEY]?.events || [];
+    }
+    return this.events;
+  }
+}
+
+function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const usageStats = new UsageStats();
+export default usageStats;
@@ -0,0 +1,167 @@
+/**
+ * Side Panel Script
+ * Shows the current session — intent summary, research thread, topics and
+ * the suggestions it produced — and keeps it live as the session changes.
+ * Topics can be pinned or removed; a suggestion click inserts it into the
+ * field last focused in the active tab.
+ */
+
+const elements = {
+  intentSummary: document.getElementById('intentSummary'),
+  intentThread: document.getElementById('intentThread'),
+  topicsList: document.getElementById('topicsList'),
+  topicsEmpty: document.getElementById('topicsEmpty'),
+  recentList: document.getElementById('recentList'),
+  recentEmpty: document.getElementById('recentEmpty'),
+  clearSessionBtn: document.getElementById('clearSessionBtn'),
+  statusBar: document.getElementById('statusBar')
+};
+
+let statusTimer = null;
+
+document.addEventListener('DOMContentLoaded', loadSession);
+elements.clearSessionBtn.addEventListener('click', clearSession);
+
+// Every recorded query, pin and removal rewrites the session in storage
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.sessionIntent) loadSession();
+});
+
+async function loadSession() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSessionDetails' });
+    if (!response?.success) throw new Error(response?.error || 'No session');
+    renderIntent(response.intent);
+    renderTopics(response.topics);
+    renderRecent(response.recentQueries);
+  } catch (error) {
+    console.error('Failed to load session:', error);
+    showStatus('Could not load the session', 'error');
+  }
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+function renderIntent(intent) {
+  elements.intentSummary.textContent = intent?.sessionSummary || 'Nothing researched yet in this session.';
+  elements.intentThread.textContent = intent?.recentThread || '';
+}
+
+function renderTopics(topics = []) {
+  elements.topicsList.innerHTML = '';
+  elements.topicsEmpty.classList.toggle('hidden', topics.length > 0);
+
+  topics.forEach(({ topic, count, pinned }) => {
+    const item = document.createElement('li');
+    item.className = `topic${pinned ? ' pinned' : ''}`;
+
+    const name = document.createElement('span');
+    name.textContent = topic;
+    const countLabel = document.createElement('span');
+    countLabel.className = 'topic-count';
+    countLabel.textContent = count;
+
+    const pinBtn = document.createElement('button');
+    pinBtn.className = 'pin-btn';
+    pinBtn.textContent = pinned ? '★' : '☆';
+    pinBtn.title = pinned ? `Unpin "${topic}"` : `Pin "${topic}"`;
+    pinBtn.setAttribute('aria-pressed', String(pinned));
+    pinBtn.addEventListener('click', () => updateTopic('pinSessionTopic', { topic, pinned: !pinned }));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '×';
+    removeBtn.title = `Remove "${topic}" from this session`;
+    removeBtn.addEventListener('click', () => updateTopic('removeSessionTopic', { topic }));
+
+    item.append(name, countLabel, pinBtn, removeBtn);
+    elements.topicsList.appendChild(item);
+  });
+}
+
+function renderRecent(queries = []) {
+  elements.recentList.innerHTML = '';
+  const withSuggestions = queries.filter(query => query.suggestions?.some(Boolean));
+  elements.recentEmpty.classList.toggle('hidden', withSuggestions.length > 0);
+
+  withSuggestions.forEach(query => {
+    const group = document.createElement('div');
+    group.className = 'recent-query';
+
+    const label = document.createElement('div');
+    label.className = 'recent-query-text';
+    label.textContent = `${query.text} · ${new Date(query.timestamp).toLocaleTimeString()}`;
+    group.appendChild(label);
+
+    query.suggestions.forEach((text, index) => {
+      if (!text) return;
+      const derivation = query.derivations?.[index] || '';
+      const button = document.createElement('button');
+      button.className = 'suggestion-btn';
+      button.textContent = text;
+      button.addEventListener('click', () => insertSuggestion(text, index, derivation));
+      group.appendChild(button);
+    });
+
+    elements.recentList.appendChild(group);
+  });
+}
+
+// ── Actions ───────────────────────────────────────────────────────────────────
+
+async function updateTopic(action, data) {
+  try {
+    await chrome.runtime.sendMessage({ action, data });
+    // storage.onChanged re-renders
+  } catch (error) {
+    console.error('Failed to update topic:', error);
+    showStatus('Could not update the topic', 'error');
+  }
+}
+
+async function clearSession() {
+  try {
+    await chrome.runtime.sendMessage({ action: 'clearSession' });
+    showStatus('Session cleared', 'success');
+  } catch (error) {
+    console.error('Failed to clear session:', error);
+    showStatus('Could not clear the session', 'error');
+  }
+}
+
+async function insertSuggestion(text, index, derivation) {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: 'insertSuggestion',
+      data: { text }
+    });
+
+    if (!response?.success) {
+      showStatus('Click into a text field on the page first', 'error');
+      return;
+    }
+    chrome.runtime.sendMessage({
+      action: 'recordFeedback',
+      data: {
+        type: 'accepted',
+        query: response.previousText || '',
+        suggestion: text,
+        derivation,
+        pageType: response.pageType,
+        position: index,
+        surface: 'sidebar'
+      }
+    }).catch(() => {});
+    showStatus('Suggestion inserted', 'success');
+  } catch (error) {
+    console.error('Failed to insert suggestion:', error);
+    showStatus('This page can\'t take suggestions', 'error');
+  }
+}
+
+function showStatus(message, type) {
+  elements.statusBar.textContent = message;
+  elements.statusBar.className = `status ${type}`;
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => elements.statusBar.classList.add('hidden'), 2500);
+}
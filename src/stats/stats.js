@@ -0,0 +1,151 @@
+/**
+ * Stats Page Script
+ * Renders the local usage summary kept by the service worker (UsageStats).
+ * Opened from the popup; reads only, never sends anything off the device.
+ */
+
+const elements = {
+  rangeSelect: document.getElementById('rangeSelect'),
+  refreshBtn: document.getElementById('refreshBtn'),
+  emptyState: document.getElementById('emptyState'),
+  statsContent: document.getElementById('statsContent'),
+  requestsValue: document.getElementById('requestsValue'),
+  requestsDetail: document.getElementById('requestsDetail'),
+  acceptanceValue: document.getElementById('acceptanceValue'),
+  acceptanceDetail: document.getElementById('acceptanceDetail'),
+  latencyValue: document.getElementById('latencyValue'),
+  latencyDetail: document.getElementById('latencyDetail'),
+  tokensValue: document.getElementById('tokensValue'),
+  tokensDetail: document.getElementById('tokensDetail'),
+  cacheValue: document.getElementById('cacheValue'),
+  cacheDetail: document.getElementById('cacheDetail'),
+  formFillValue: document.getElementById('formFillValue'),
+  formFillDetail: document.getElementById('formFillDetail'),
+  dailyChart: document.getElementById('dailyChart'),
+  pageTypesList: document.getElementById('pageTypesList')
+};
+
+document.addEventListener('DOMContentLoaded', loadStats);
+elements.rangeSelect.addEventListener('change', loadStats);
+elements.refreshBtn.addEventListener('click', loadStats);
+
+async function loadStats() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getUsageStats',
+      data: { days: Number(elements.rangeSelect.value) }
+    });
+    if (!response?.success || !response.summary) throw new Error(response?.error || 'No summary');
+    renderSummary(response.summary);
+  } catch (error) {
+    console.error('Failed to load usage stats:', error);
+    elements.emptyState.textContent = 'Could not load usage stats.';
+    elements.emptyState.classList.remove('hidden');
+    elements.statsContent.classList.add('hidden');
+  }
+}
+
+function renderSummary(summary) {
+  const { totals } = summary;
+  elements.emptyState.textContent = 'No suggestion requests recorded in this range yet.';
+  elements.emptyState.classList.toggle('hidden', totals.requests > 0);
+  elements.statsContent.classList.remove('hidden');
+
+  elements.requestsValue.textContent = formatNumber(totals.requests);
+  elements.requestsDetail.textContent =
+    `${formatNumber(totals.apiCalls)} sent to the provider · ${totals.rateLimited} rate limited · ${totals.errors} errors`;
+
+  elements.acceptanceValue.textContent = formatPercent(summary.acceptanceRate);
+  elements.acceptanceDetail.textContent =
+    `${totals.accepted} accepted of ${totals.shown} shown · ${totals.cycled} cycled · ${totals.dismissed} dismissed`;
+
+  elements.latencyValue.textContent = formatMs(summary.avgLatencyMs);
+  elements.latencyDetail.textContent = `Provider calls only: ${formatMs(summary.avgApiLatencyMs)}`;
+
+  elements.tokensValue.textContent = formatNumber(totals.promptTokens + totals.completionTokens);
+  elements.tokensDetail.textContent =
+    `${formatNumber(totals.promptTokens)} in / ${formatNumber(totals.completionTokens)} out`;
+
+  elements.cacheValue.textContent = formatNumber(totals.cacheHits);
+  elements.cacheDetail.textContent = `${formatPercent(summary.cacheHitRate)} of provider-bound requests`;
+
+  elements.formFillValue.textContent = formatPercent(summary.formFillLocalRate);
+  elements.formFillDetail.textContent =
+    `${totals.formFillLocal} local / ${totals.formFillApi} via the provider`;
+
+  renderDailyChart(summary.daily);
+  renderPageTypes(summary.pageTypes);
+}
+
+/**
+ * One stacked bar per day: provider calls, cache hits, then everything else.
+ */
+function renderDailyChart(daily) {
+  elements.dailyChart.innerHTML = '';
+  const max = Math.max(1, ...daily.map(day => day.requests));
+  elements.dailyChart.setAttribute('aria-label',
+    daily.map(day => `${day.date}: ${day.requests} requests`).join(', '));
+
+  daily.forEach(day => {
+    const column = document.createElement('div');
+    column.className = 'day';
+    column.title = `${day.date}\n${day.requests} requests · ${day.apiCalls} provider · ${day.cacheHits} cache`;
+
+    const bar = document.createElement('div');
+    bar.className = 'day-bar';
+    const other = day.requests - day.apiCalls - day.cacheHits;
+    [[day.apiCalls, 'var(--primary)'], [day.cacheHits, 'var(--success)'], [other, 'var(--text-secondary)']]
+      .forEach(([value, color]) => {
+        const segment = document.createElement('span');
+        segment.style.height = `${(value / max) * 100}%`;
+        segment.style.background = color;
+        bar.appendChild(segment);
+      });
+
+    const label = document.createElement('span');
+    label.className = 'day-label';
+    label.textContent = day.date.slice(5);
+
+    column.append(bar, label);
+    elements.dailyChart.appendChild(column);
+  });
+}
+
+function renderPageTypes(pageTypes) {
+  elements.pageTypesList.innerHTML = '';
+  const max = Math.max(1, ...pageTypes.map(entry => entry.requests));
+
+  pageTypes.forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'page-type';
+
+    const name = document.createElement('span');
+    name.textContent = entry.pageType.replace(/_/g, ' ');
+
+    const bar = document.createElement('div');
+    bar.className = 'page-type-bar';
+    bar.style.width = `${(entry.requests / max) * 100}%`;
+
+    const count = document.createElement('span');
+    count.className = 'page-type-count';
+    count.textContent = formatNumber(entry.requests);
+
+    item.append(name, bar, count);
+    elements.pageTypesList.appendChild(item);
+  });
+}
+
+// ── Formatting ────────────────────────────────────────────────────────────────
+
+function formatNumber(value) {
+  return Number(value || 0).toLocaleString();
+}
+
+function formatPercent(ratio) {
+  return ratio === null || ratio === undefined ? '–' : `${Math.round(ratio * 100)}%`;
+}
+
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return '–';
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`;
+}
@@ -0,0 +1,260 @@
+/**
+ * Field Classifier
+ * The one place that decides what a form field is for — first name, company,
+ * city, ... Shared by the content script (via a dynamic import, as a
+ * web-accessible resource) and the form detector in the service worker.
+ *
+ * Every signal a field carries is scored on its own: the autocomplete
+ * attribute, its label, aria-label / aria-labelledby, name, id, placeholder,
+ * the surrounding fieldset's legend and the input type. Signals that agree
+ * add up, signals that point elsewhere take confidence away, and the type
+ * with the strongest evidence wins — no single regex decides. A valid
+ * autocomplete token (HTML autofill grammar) settles it outright.
+ *
+ * Sensitivity is not judged here; callers run the sensitivity policy first.
+ */
+
+// How much one matching signal says on its own. Authored hints (autocomplete,
+// visible label) beat identifiers, which beat hints and context.
+export const SIGNAL_WEIGHTS = {
+  autocomplete: 0.6,
+  label: 0.5,
+  ariaLabel: 0.45,
+  name: 0.4,
+  id: 0.35,
+  placeholder: 0.3,
+  legend: 0.2,
+  type: 0.15
+};
+
+// Below this a field is left unclassified — a legend or input type alone isn't enough
+export const MIN_CONFIDENCE = 0.25;
+
+// Patterns run against normalised signal text: lower case, camelCase split,
+// anything else non-alphanumeric turned into single spaces ("jobTitle" → "job title").
+// Order breaks ties between equally strong types.
+const FIELD_PATTERNS = [
+  // ── Identity ──────────────────────────────────────────────────────────────
+  ['first_name', /\b(first ?name|fname|given ?name|forename)\b/],
+  ['last_name', /\b(last ?name|lname|family ?name|surname)\b/],
+  // Bare "name" only when it's the whole signal — "company name" is a company
+  ['full_name', /\b(full ?name|your ?name)\b|^name$/],
+  ['pronouns', /\b(pronouns?|gender pronouns?)\b/],
+
+  // ── Professional ──────────────────────────────────────────────────────────
+  // 'title' alone is too broad (page titles, article titles etc.)
+  ['job_title', /\b(job ?title|job ?role|position|role|designation|occupation|organi[sz]ation title)\b/],
+  ['company', /\b(company|companyname|employer|organi[sz]ation(?! title)|workplace|firm)\b/],
+  ['linkedin_url', /\blinked ?in\b/],
+  ['github_url', /\bgit ?hub\b/],
+  // Bare "url" (type="url", name="url") only on its own — "linkedin_url" is LinkedIn
+  ['website', /\b(website|web ?site|portfolio|personal ?(site|url)|home ?page)\b|^url$/],
+  ['experience_years', /\b(years? (of )?exp(erience)?|yearsofexp|experience years|yoe)\b/],
+  ['education', /\b(education|education level|degree|qualification|academic level)\b/],
+  ['skills', /\b(skills?|expertise|technolog(y|ies)|tech ?stack|tools)\b/],
+  ['languages', isSpokenLanguage],
+
+  // ── Support / bug report ──────────────────────────────────────────────────
+  ['os', /\b(operating ?system|os|os name|your os|platform)\b/],
+  ['browser', /\b(browser|browser ?name|user ?agent)\b/],
+  ['version', /\b(version|app ?version|software ?version)\b/],
+  ['issue_subject', /\b(subject|(issue|ticket) ?title|summary)\b/],
+  ['issue_description', /\b(description|details|body|explain|steps to reproduce|reproduce)\b/],
+  ['timezone', /\b(time ?zone|tz)\b/],
+
+  // ── Location ──────────────────────────────────────────────────────────────
+  // Whole words, so "ethnicity" isn't a city
+  ['city', /\b(city|city ?name|town|hometown|municipality|address level2)\b/],
+  ['country', /\b(country|country ?name)\b/],
+  ['zip', /\b(zip|zip ?code|postal|postal ?code|post ?code)\b/]
+];
+
+export const FIELD_TYPES = FIELD_PATTERNS.map(([type]) => type);
+
+// ── autocomplete (HTML autofill spec) ─────────────────────────────────────────
+// Grammar: [section-*] [shipping|billing] [home|work|mobile|fax|pager] field-name [webauthn]
+
+// Spec field names SuggestPilot has a type for
+export const AUTOCOMPLETE_FIELD_TYPES = {
+  name: 'full_name',
+  'given-name': 'first_name',
+  'family-name': 'last_name',
+  'organization-title': 'job_title',
+  organization: 'company',
+  url: 'website',
+  'address-level2': 'city',
+  country: 'country',
+  'country-name': 'country',
+  'postal-code': 'zip',
+  language: 'languages'
+};
+
+// The rest of the spec's field names. A form that says a field is a street,
+// a birthday or a phone number has ruled out every type above.
+const OTHER_AUTOCOMPLETE_FIELDS = new Set([
+  'honorific-prefix', 'additional-name', 'honorific-suffix', 'nickname', 'username',
+  'new-password', 'current-password', 'one-time-code',
+  'street-address', 'address-line1', 'address-line2', 'address-line3',
+  'address-level4', 'address-level3', 'address-level1',
+  'cc-name', 'cc-given-name', 'cc-additional-name', 'cc-family-name', 'cc-number',
+  'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc', 'cc-type',
+  'transaction-currency', 'transaction-amount',
+  'bday', 'bday-day', 'bday-month', 'bday-year', 'sex', 'photo',
+  'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local',
+  'tel-local-prefix', 'tel-local-suffix', 'tel-extension', 'email', 'impp'
+]);
+
+const CONTACT_TOKENS = ['home', 'work', 'mobile', 'fax', 'pager'];
+// Only these field names take a contact token
+const CONTACT_FIELD_PATTERN = /^(tel|email|impp)/;
+
+// ── Classification ────────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} signals - {autocomplete, label, ariaLabel, name, id,
+ *   placeholder, legend, type}; any may be missing
+ * @returns {{type: string, confidence: number, matched: string[]} | null}
+ *   confidence is 0–1; matched lists the signals that voted for the type
+ */
+export function classifyField(signals = {}) {
+  // A valid autocomplete token is the page author saying what the field is — no guessing
+  const autocomplete = parseAutocomplete(signals.autocomplete);
+  if (autocomplete) {
+    return autocomplete.type ? { type: autocomplete.type, confidence: 1, matched: ['autocomplete'] } : null;
+  }
+
+  const texts = Object.keys(SIGNAL_WEIGHTS)
+    .map(signal => [signal, normalizeSignal(signals[signal])])
+    .filter(([, text]) => text);
+  if (texts.length === 0) return null;
+
+  const scored = FIELD_PATTERNS.map(([type, pattern]) => {
+    const matched = texts.filter(([, text]) => matchesPattern(pattern, text)).map(([signal]) => signal);
+    return { type, matched, score: combine(matched.map(signal => SIGNAL_WEIGHTS[signal])) };
+  }).filter(entry => entry.score > 0);
+  if (scored.length === 0) return null;
+
+  // Stable sort — equal scores keep pattern order
+  scored.sort((a, b) => b.score - a.score);
+  const [best, runnerUp] = scored;
+  const confidence = Math.round(best.score * (1 - (runnerUp?.score || 0) / 2) * 100) / 100;
+  if (confidence < MIN_CONFIDENCE) return null;
+
+  return { type: best.type, confidence, matched: best.matched };
+}
+
+/**
+ * Parse an autocomplete attribute per the HTML autofill grammar.
+ * "on", "off", unknown field names and tokens out of order give null, and the
+ * field falls back to the scored signals.
+ * @returns {{section: string, addressType: ''|'shipping'|'billing', contact: string,
+ *   fieldName: string, type: string|null} | null} type is null for spec field
+ *   names SuggestPilot doesn't fill
+ */
+export function parseAutocomplete(value) {
+  const tokens = String(value || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (tokens[tokens.length - 1] === 'webauthn') tokens.pop();
+
+  const fieldName = tokens.pop();
+  if (!fieldName || !(fieldName in AUTOCOMPLETE_FIELD_TYPES || OTHER_AUTOCOMPLETE_FIELDS.has(fieldName))) return null;
+
+  const parsed = { section: '', addressType: '', contact: '', fieldName, type: AUTOCOMPLETE_FIELD_TYPES[fieldName] || null };
+  if (CONTACT_TOKENS.includes(tokens[tokens.length - 1]) && CONTACT_FIELD_PATTERN.test(fieldName)) parsed.contact = tokens.pop();
+  if (['shipping', 'billing'].includes(tokens[tokens.length - 1])) parsed.addressType = tokens.pop();
+  if (tokens.length === 1 && /^section-./.test(tokens[0])) parsed.section = tokens.pop();
+
+  return tokens.length === 0 ? parsed : null;
+}
+
+/**
+ * Lower case, camelCase split, punctuation to single spaces.
+ */
+export function normalizeSignal(text) {
+  return String(text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// ── Reading a field (content script only — needs the DOM) ─────────────────────
+
+/**
+ * Collect every classification signal from a form control. For radio buttons
+ * and checkboxes the label is the group's (legend or group aria-label), not
+ * the option's.
+ */
+export function readFieldSignals(element) {
+  const type = String(element.type || element.getAttribute('type') || '').toLowerCase();
+  const isChoice = type === 'radio' || type === 'checkbox';
+  const legend = element.closest('fieldset')?.querySelector(':scope > legend');
+
+  return {
+    autocomplete: element.getAttribute('autocomplete') || '',
+    label: isChoice ? getGroupLabel(element) : getFieldLabel(element),
+    ariaLabel: [element.getAttribute('aria-label'), getLabelledByText(element)].filter(Boolean).join(' '),
+    name: element.getAttribute('name') || '',
+    id: element.id || '',
+    placeholder: element.getAttribute('placeholder') || '',
+    legend: isChoice ? '' : textOf(legend),
+    type
+  };
+}
+
+/**
+ * Visible label text: <label for>, a wrapping <label>, else a label sitting
+ * next to the field within a few ancestors.
+ */
+export function getFieldLabel(element) {
+  const labels = Array.from(element.labels || []).map(textOf).filter(Boolean);
+  if (labels.length > 0) return labels.join(' ');
+
+  let parent = element.parentElement;
+  for (let i = 0; i < 4 && parent; i++) {
+    const siblingLabel = parent.querySelector('label');
+    if (siblingLabel) return textOf(siblingLabel);
+    parent = parent.parentElement;
+  }
+  return '';
+}
+
+// ── Private helpers ───────────────────────────────────────────────────────────
+
+function matchesPattern(pattern, text) {
+  return typeof pattern === 'function' ? pattern(text) : pattern.test(text);
+}
+
+// Independent pieces of evidence: 1 - Π(1 - w)
+function combine(weights) {
+  return weights.length === 0 ? 0 : 1 - weights.reduce((rest, weight) => rest * (1 - weight), 1);
+}
+
+function isSpokenLanguage(text) {
+  if (/\b(spoken|preferred|native) languages?\b|\blanguages? (preference|spoken)\b|\bmother tongue\b/.test(text)) return true;
+  if (!/\blanguages?\b/.test(text)) return false;
+  // Programming and translation languages, locales — not what the user speaks
+  return !/\b(coding|programming|query|source|target|primary|secondary) language\b|\blanguage (code|style)\b|\blocale\b/.test(text);
+}
+
+function getGroupLabel(element) {
+  const group = element.closest('fieldset, [role="radiogroup"], [role="group"]');
+  if (!group) return '';
+  if (group.tagName === 'FIELDSET') return textOf(group.querySelector(':scope > legend'));
+  return group.getAttribute('aria-label') || getLabelledByText(group);
+}
+
+function getLabelledByText(element) {
+  const ids = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+  return ids.map(id => textOf(element.ownerDocument.getElementById(id))).filter(Boolean).join(' ');
+}
+
+/**
+ * Text of a label-like node without the controls inside it — a wrapping
+ * label around a <select> would otherwise include every option.
+ */
+function textOf(node) {
+  if (!node) return '';
+  const clone = node.cloneNode(true);
+  clone.querySelectorAll('input, select, textarea, button, script, style').forEach(child => child.remove());
+  return clone.textContent.replace(/\s+/g, ' ').trim().slice(0, 120);
+}
@@ -1,63 +1,176 @@
 /**
  * Rate Limiter
- * Prevents API abuse by limiting requests per time window
+ * Prevents API abuse by limiting requests per time window.
+ *
+ * Budgets are tracked for three rolling windows (minute, hour, day). A limit
+ * of 0 means "unlimited" for that window. Request timestamps are persisted to
+ * chrome.storage.local so the budget survives service-worker restarts.
+ *
+ * Storage key: 'rateLimiterState'
+ * Shape: { requests: [timestamp, ...] }
  */
 
+const WINDOWS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+export const DEFAULT_LIMITS = {
+  minute: 10,
+  hour: 200,
+  day: 1000
+};
+
 class RateLimiter {
-  constructor() {
+  constructor({ storageKey = 'rateLimiterState', limits = {} } = {}) {
+    this.STORAGE_KEY = storageKey;
     this.requests = [];
-    this.windowMs = 60000; // 1 minute
+    this.limits = { ...DEFAULT_LIMITS };
+    this.loaded = false;
+    this.setLimits(limits);
   }
 
   /**
-   * Check if request is within rate limit
+   * Update the budgets. Missing or invalid values keep their current limit.
+   * @param {{minute?: number, hour?: number, day?: number}} limits
    */
-  checkLimit() {
-    const maxRequests = 10; // Default, can be configured
+  setLimits(limits = {}) {
+    for (const window of Object.keys(WINDOWS)) {
+      const value = Number(limits[window]);
+      if (Number.isInteger(value) && value >= 0) {
+        this.limits[window] = value;
+      }
+    }
+  }
+
+  /**
+   * Check if request is within rate limit. Records the request when allowed.
+   * @returns {Promise<boolean>}
+   */
+  async checkLimit() {
+    await this._load();
     const now = Date.now();
-    
-    // Remove old requests outside the window
-    this.requests = this.requests.filter(time => now - time < this.windowMs);
-    
-    // Check if under limit
-    if (this.requests.length >= maxRequests) {
+    this._prune(now);
+
+    if (this._exhaustedWindows(now).length > 0) {
       return false;
     }
-    
-    // Add current request
+
     this.requests.push(now);
+    await this._save();
     return true;
   }
 
   /**
-   * Get remaining requests
+   * Get remaining requests per window (null = unlimited)
+   * @returns {Promise<{minute: number|null, hour: number|null, day: number|null}>}
    */
-  getRemainingRequests() {
-    const maxRequests = 10;
+  async getRemainingRequests() {
+    await this._load();
     const now = Date.now();
-    this.requests = this.requests.filter(time => now - time < this.windowMs);
-    return Math.max(0, maxRequests - this.requests.length);
+    this._prune(now);
+
+    const remaining = {};
+    for (const [window, windowMs] of Object.entries(WINDOWS)) {
+      const limit = this.limits[window];
+      remaining[window] = limit === 0
+        ? null
+        : Math.max(0, limit - this._countInWindow(now, windowMs));
+    }
+    return remaining;
   }
 
   /**
-   * Get time until next request is available
+   * Get time (ms) until each window frees up its oldest request
+   * @returns {Promise<{minute: number, hour: number, day: number}>}
    */
-  getTimeUntilReset() {
-    if (this.requests.length === 0) return 0;
-    
-    const oldestRequest = Math.min(...this.requests);
-    const resetTime = oldestRequest + this.windowMs;
+  async getTimeUntilReset() {
+    await this._load();
     const now = Date.now();
-    
-    return Math.max(0, resetTime - now);
+
+    const resets = {};
+    for (const [window, windowMs] of Object.entries(WINDOWS)) {
+      const inWindow = this.requests.filter(time => now - time < windowMs);
+      resets[window] = inWindow.length === 0
+        ? 0
+        : Math.max(0, Math.min(...inWindow) + windowMs - now);
+    }
+    return resets;
+  }
+
+  /**
+   * Time (ms) until the next request would be allowed, and the window blocking it.
+   * @returns {Promise<{retryAfterMs: number, window: string|null}>}
+   */
+  async getRetryAfter() {
+    await this._load();
+    const now = Date.now();
+    this._prune(now);
+
+    let retryAfterMs = 0;
+    let blockingWindow = null;
+    for (const window of this._exhaustedWindows(now)) {
+      const windowMs = WINDOWS[window];
+      const inWindow = this.requests.filter(time => now - time < windowMs);
+      // The request that has to expire is the one that brings us back under the limit
+      const releaseAt = inWindow[inWindow.length - this.limits[window]] + windowMs;
+      if (releaseAt - now > retryAfterMs) {
+        retryAfterMs = releaseAt - now;
+        blockingWindow = window;
+      }
+    }
+    return { retryAfterMs, window: blockingWindow };
   }
 
   /**
    * Reset rate limiter
    */
-  reset() {
+  async reset() {
     this.requests = [];
+    await this._save();
+  }
+
+  // ── Private helpers ─────────────────────────────────────────────────────────
+
+  async _load() {
+    if (this.loaded) return;
+    try {
+      const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+      const requests = stored[this.STORAGE_KEY]?.requests;
+      this.requests = Array.isArray(requests) ? requests.filter(Number.isFinite).sort((a, b) => a - b) : [];
+    } catch (error) {
+      console.error('RateLimiter load error:', error);
+      this.requests = [];
+    }
+    this.loaded = true;
+  }
+
+  async _save() {
+    try {
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: { requests: this.requests } });
+    } catch (error) {
+      console.error('RateLimiter save error:', error);
+    }
+  }
+
+  // Remove old requests outside the largest window
+  _prune(now) {
+    this.requests = this.requests.filter(time => now - time < WINDOWS.day);
+  }
+
+  _countInWindow(now, windowMs) {
+    return this.requests.filter(time => now - time < windowMs).length;
+  }
+
+  _exhaustedWindows(now) {
+    return Object.entries(WINDOWS)
+      .filter(([window, windowMs]) => {
+        const limit = this.limits[window];
+        return limit > 0 && this._countInWindow(now, windowMs) >= limit;
+      })
+      .map(([window]) => window);
   }
 }
 
-export default RateLimiter;
\ No newline at end of file
+export default RateLimiter;
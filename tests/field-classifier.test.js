@@ -0,0 +1,88 @@
+import { classifyField, parseAutocomplete, SIGNAL_WEIGHTS } from '../src/utils/field-classifier.js';
+
+describe('parseAutocomplete', () => {
+  test('reads the section, address type and field name', () => {
+    expect(parseAutocomplete('section-work shipping postal-code')).toEqual({
+      section: 'section-work',
+      addressType: 'shipping',
+      contact: '',
+      fieldName: 'postal-code',
+      type: 'zip'
+    });
+  });
+
+  test('reads billing without a section', () => {
+    expect(parseAutocomplete('billing address-level2')).toMatchObject({ section: '', addressType: 'billing', type: 'city' });
+  });
+
+  test('takes a contact token only before tel, email and impp', () => {
+    expect(parseAutocomplete('work tel')).toMatchObject({ contact: 'work', fieldName: 'tel', type: null });
+    expect(parseAutocomplete('work organization')).toBeNull();
+  });
+
+  test('ignores a trailing webauthn token and is case-insensitive', () => {
+    expect(parseAutocomplete('Section-A Billing Country webauthn')).toMatchObject({
+      section: 'section-a',
+      addressType: 'billing',
+      type: 'country'
+    });
+  });
+
+  test('rejects on, off, unknown names and tokens out of order', () => {
+    expect(parseAutocomplete('on')).toBeNull();
+    expect(parseAutocomplete('off')).toBeNull();
+    expect(parseAutocomplete('favourite-colour')).toBeNull();
+    expect(parseAutocomplete('shipping section-work postal-code')).toBeNull();
+    expect(parseAutocomplete('section- postal-code')).toBeNull();
+  });
+});
+
+describe('classifyField', () => {
+  test('a valid autocomplete token settles it outright', () => {
+    expect(classifyField({ autocomplete: 'given-name', label: 'Company' })).toEqual({
+      type: 'first_name',
+      confidence: 1,
+      matched: ['autocomplete']
+    });
+  });
+
+  test('a spec field name we do not fill leaves the field unclassified, whatever the label says', () => {
+    expect(classifyField({ autocomplete: 'street-address', label: 'City' })).toBeNull();
+  });
+
+  test('an invalid autocomplete falls back to the scored signals', () => {
+    expect(classifyField({ autocomplete: 'off', name: 'company' })).toMatchObject({ type: 'company', matched: ['name'] });
+  });
+
+  test('one matching signal scores its own weight', () => {
+    expect(classifyField({ name: 'company' }).confidence).toBe(SIGNAL_WEIGHTS.name);
+    expect(classifyField({ label: 'Company' }).confidence).toBe(SIGNAL_WEIGHTS.label);
+  });
+
+  test('signals that agree add up', () => {
+    const one = classifyField({ label: 'Company' });
+    const three = classifyField({ label: 'Company', name: 'employer', id: 'companyName' });
+
+    expect(three.type).toBe('company');
+    expect(three.matched).toEqual(['label', 'name', 'id']);
+    expect(three.confidence).toBeGreaterThan(one.confidence);
+  });
+
+  test('a competing type takes confidence away, and the stronger evidence wins', () => {
+    const agreed = classifyField({ label: 'City', name: 'city' });
+    const contested = classifyField({ label: 'City', name: 'city', placeholder: 'Country' });
+
+    expect(contested.type).toBe('city');
+    expect(contested.confidence).toBeLessThan(agreed.confidence);
+  });
+
+  test('weak context alone is not enough', () => {
+    expect(classifyField({ legend: 'Company' })).toBeNull();
+    expect(classifyField({ type: 'url' })).toBeNull();
+  });
+
+  test('bare "url" is a website only when it is the whole signal', () => {
+    expect(classifyField({ name: 'url', label: 'Website' }).type).toBe('website');
+    expect(classifyField({ name: 'linkedin_url' }).type).toBe('linkedin_url');
+  });
+});
@@ -0,0 +1,41 @@
+import { DEFAULT_KEY_BINDINGS, normalizeCombo, normalizeKeyBindings } from '../src/config/key-bindings.js';
+
+describe('normalizeCombo', () => {
+  test('puts modifiers in canonical order', () => {
+    expect(normalizeCombo('shift + alt + s')).toBe('Alt+Shift+S');
+  });
+
+  test('an empty combo leaves the action unbound', () => {
+    expect(normalizeCombo('')).toBe('');
+  });
+
+  test('rejects combos without exactly one key', () => {
+    expect(() => normalizeCombo('Ctrl+Alt')).toThrow('use modifiers plus one key');
+    expect(() => normalizeCombo('A+B')).toThrow('use modifiers plus one key');
+  });
+});
+
+describe('normalizeKeyBindings', () => {
+  test('fills missing actions with the defaults', () => {
+    expect(normalizeKeyBindings({})).toEqual(DEFAULT_KEY_BINDINGS);
+  });
+
+  test('rejects one combo bound to two actions', () => {
+    expect(() => normalizeKeyBindings({ accept: 'Enter', dismiss: 'Enter' })).toThrow('"Enter" is bound to both');
+  });
+
+  test('catches a conflict with a default binding', () => {
+    expect(() => normalizeKeyBindings({ trigger: 'Tab' })).toThrow('"Tab" is bound to both');
+  });
+
+  test('catches conflicts written differently', () => {
+    expect(() => normalizeKeyBindings({ trigger: 'shift+ctrl+k', switchProfile: 'Ctrl+Shift+K' })).toThrow('is bound to both');
+  });
+
+  test('several unbound actions do not conflict', () => {
+    const bindings = normalizeKeyBindings({ acceptWord: '', switchProfile: '' });
+
+    expect(bindings.acceptWord).toBe('');
+    expect(bindings.switchProfile).toBe('');
+  });
+});
@@ -0,0 +1,42 @@
+import piiRedactor from '../src/services/pii-redactor.js';
+
+const redact = (text) => piiRedactor.redactText(text).text;
+
+describe('email', () => {
+  test('masks addresses', () => {
+    expect(redact('write to jane.doe+news@mail.example.co.uk today')).toBe('write to [email] today');
+  });
+
+  test('leaves an @handle alone', () => {
+    expect(redact('ping @jane on slack')).toBe('ping @jane on slack');
+  });
+});
+
+describe('phone', () => {
+  test.each([
+    ['+44 20 7946 0958'],
+    ['+1 (555) 123-4567'],
+    ['(555) 123 4567'],
+    ['555-123-4567'],
+    ['555.123.4567'],
+    ['020 7946 0958']
+  ])('masks %s', (phone) => {
+    expect(redact(`call ${phone} now`)).toBe('call [phone] now');
+  });
+
+  test.each([
+    ['2026-10-19 16:54'],
+    ['19.10.2026 10:30'],
+    ['2026/10/19 08:15'],
+    ['order 4821337712'],
+    ['ticket 123456789'],
+    ['build 10.0.19045.2965'],
+    ['pages 120-140']
+  ])('leaves %s alone', (text) => {
+    expect(redact(text)).toBe(text);
+  });
+
+  test('counts what it masked', () => {
+    expect(piiRedactor.redactText('+1 555 123 4567 or a@b.io').counts).toEqual({ phone: 1, email: 1 });
+  });
+});
@@ -0,0 +1,35 @@
+import { findSiteRule, getSiteMode } from '../src/config/site-rules.js';
+
+describe('findSiteRule', () => {
+  const rules = [
+    { pattern: '*', mode: 'search' },
+    { pattern: 'example.com', mode: 'off' },
+    { pattern: 'docs.example.com', mode: 'on' },
+    { pattern: '*.corp.example.com', mode: 'form_fill' }
+  ];
+
+  test('a domain rule covers its subdomains', () => {
+    expect(findSiteRule('blog.example.com', rules).pattern).toBe('example.com');
+  });
+
+  test('the most specific match wins, whatever the rule order', () => {
+    expect(findSiteRule('docs.example.com', rules).mode).toBe('on');
+    expect(findSiteRule('docs.example.com', [...rules].reverse()).mode).toBe('on');
+  });
+
+  test('a longer wildcard pattern beats a shorter literal one', () => {
+    expect(findSiteRule('hr.corp.example.com', rules).mode).toBe('form_fill');
+  });
+
+  test('the bare wildcard is the fallback', () => {
+    expect(getSiteMode('github.com', rules)).toBe('search');
+  });
+
+  test('does not match a look-alike domain', () => {
+    expect(findSiteRule('notexample.com', [{ pattern: 'example.com', mode: 'off' }])).toBeNull();
+  });
+
+  test('no hostname, no rule', () => {
+    expect(findSiteRule('', rules)).toBeNull();
+  });
+});
@@ -0,0 +1,63 @@
+import suggestionCache from '../src/services/suggestion-cache.js';
+
+// In-memory chrome.storage.session
+let sessionStore = {};
+globalThis.chrome = {
+  storage: {
+    session: {
+      get: async (key) => (key in sessionStore ? { [key]: sessionStore[key] } : {}),
+      set: async (items) => { Object.assign(sessionStore, items); },
+      remove: async (key) => { delete sessionStore[key]; }
+    }
+  }
+};
+
+const result = {
+  reason: 'Session thread',
+  suggestions: [
+    { text: 'react hooks tutorial', derivation: 'Session' },
+    { text: 'react hooks vs classes', derivation: 'Context' }
+  ]
+};
+
+function contextFor(text, sessionSummary = 'react, hooks') {
+  return {
+    active_input_text: text,
+    page_type: 'search',
+    current_page: { url: 'https://www.google.com/search?q=react' },
+    active_tabs: [{ title: 'React docs' }],
+    sessionIntent: { sessionSummary, recentThread: '' }
+  };
+}
+
+beforeEach(() => {
+  sessionStore = {};
+  suggestionCache.entries = null;
+});
+
+describe('SuggestionCache', () => {
+  test('retyping the same prefix is a hit even after the session summary changed', async () => {
+    await suggestionCache.set(contextFor('react hoo'), result);
+
+    // recordQuery ran after the first request and re-ranked the summary keywords
+    const hit = await suggestionCache.get(contextFor('react hoo', 'hooks, react, tutorial'));
+
+    expect(hit).toEqual({ reason: result.reason, suggestions: result.suggestions, isFormFill: undefined });
+  });
+
+  test('backspacing to a shorter prefix reuses the suggestions that still match', async () => {
+    await suggestionCache.set(contextFor('react hooks v'), result);
+
+    const hit = await suggestionCache.get(contextFor('react hooks'));
+
+    expect(hit.suggestions.map(s => s.text)).toEqual(['react hooks tutorial', 'react hooks vs classes']);
+  });
+
+  test('a different page misses', async () => {
+    await suggestionCache.set(contextFor('react hoo'), result);
+
+    const other = { ...contextFor('react hoo'), current_page: { url: 'https://duckduckgo.com/' } };
+
+    expect(await suggestionCache.get(other)).toBeNull();
+  });
+});